@@ -0,0 +1,74 @@
+/* AwardHub - blog post links (shared)
+ *
+ * Used by:
+ * - the app (imported by js/src/*.js, bundled by webpack)
+ * - Node tools (require("../js/shared/blog.js"))
+ *
+ * Keep this file dependency-free and ES2020 so Node can require it as is.
+ * Game slugs come from the caller (slugifyGameName in js/shared/images.js).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AwardHubBlog = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  "use strict";
+
+  const BLOG_BASE_URL = "https://blog.awardhub.net/";
+
+  /**
+   * Post URL convention: one article per winner and year.
+   * Example:
+   *   buildBlogPostUrl(2024, "black_myth_wukong")
+   *     => "https://blog.awardhub.net/steamawards/2024/black_myth_wukong/"
+   */
+  function buildBlogPostUrl(year, slug) {
+    if (!slug || !/^\d{4}$/.test(String(year))) return "";
+    return `${BLOG_BASE_URL}steamawards/${year}/${slug}/`;
+  }
+
+  /**
+   * Reverse of buildBlogPostUrl: { year, slug } for a conventional post URL, else null.
+   */
+  function parseBlogPostUrl(url) {
+    const base = BLOG_BASE_URL.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const m = new RegExp(`^${base}steamawards/(\\d{4})/([a-z0-9_]+)/?$`).exec(String(url || "").trim());
+    return m ? { year: Number(m[1]), slug: m[2] } : null;
+  }
+
+  /**
+   * Only absolute http(s) links are used as post URLs (they end up in href).
+   */
+  function isBlogPostUrl(url) {
+    return /^https?:\/\/[^\s"'<>]+$/i.test(String(url || "").trim());
+  }
+
+  /**
+   * Published post for a winner in a post index ({ "<year>": { "<slug>": url } }), or "".
+   */
+  function findBlogPost(index, year, slug) {
+    const posts = index && index[String(year)];
+    return (posts && slug && Object.prototype.hasOwnProperty.call(posts, slug) && posts[slug]) || "";
+  }
+
+  /**
+   * Post URL for a winner, "" when there is no article.
+   * Lookup order:
+   * - options.url: explicit link (sheet BlogUrl column / blogger_url in data/*.json)
+   * - options.index: build-time index of published posts (tools/blog_posts.js)
+   * - without an index, the URL convention (the post is assumed to exist)
+   */
+  function resolveBlogPostUrl(year, slug, options = {}) {
+    if (isBlogPostUrl(options.url)) return String(options.url).trim();
+    if (!options.index) return buildBlogPostUrl(year, slug);
+    return findBlogPost(options.index, year, slug);
+  }
+
+  return {
+    BLOG_BASE_URL,
+    buildBlogPostUrl,
+    parseBlogPostUrl,
+    isBlogPostUrl,
+    findBlogPost,
+    resolveBlogPostUrl
+  };
+});
@@ -0,0 +1,172 @@
+/* AwardHub - award category registry (shared)
+ *
+ * Used by:
+ * - the app (imported by js/src/*.js, bundled by webpack)
+ * - Node tools (require("../js/shared/categories.js"))
+ *
+ * Keep this file dependency-free and ES2020 so Node can require it as is.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AwardHubCategories = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  "use strict";
+
+  /**
+   * Canonical award categories.
+   *
+   * The sheet spells the same category differently across years:
+   * - 2018–2022: "Game of the Year", "Best Soundtrack"
+   * - 2023+:     "GameoftheYear", "BestSoundtrack"
+   * Every raw title is resolved to one entry here, so award IDs, URLs and
+   * display names stay stable across years.
+   *
+   * Fields:
+   * - id: canonical award_id (snake_case, used in URLs and data/*.json)
+   * - name: display name
+   * - description: optional one-liner for the overview panel
+   * - aliases: former names of a renamed category
+   *
+   * Matching ignores case, spaces and punctuation (see buildAwardCategoryKey()).
+   */
+  const AWARD_CATEGORIES = [
+    {
+      id: "game_of_the_year",
+      name: "Game of the Year",
+      description: "The game players felt defined the year on Steam."
+    },
+    {
+      id: "vr_game_of_the_year",
+      name: "VR Game of the Year",
+      description: "The standout virtual reality release of the year."
+    },
+    {
+      id: "labor_of_love",
+      name: "Labor of Love",
+      description: "An older game its developers keep supporting and improving years after launch."
+    },
+    {
+      id: "better_with_friends",
+      name: "Better With Friends",
+      description: "The best game to play together with friends."
+    },
+    {
+      id: "outstanding_story_rich_game",
+      name: "Outstanding Story-Rich Game",
+      description: "A game whose story and characters left a lasting impression."
+    },
+    {
+      id: "outstanding_visual_style",
+      name: "Outstanding Visual Style",
+      description: "A game with an unforgettable look."
+    },
+    {
+      id: "most_innovative_gameplay",
+      name: "Most Innovative Gameplay",
+      description: "A game that tried something players had not seen before."
+    },
+    {
+      id: "best_game_you_suck_at",
+      name: "Best Game You Suck At",
+      description: "A game players love even while it keeps beating them."
+    },
+    {
+      id: "best_soundtrack",
+      name: "Best Soundtrack",
+      description: "The game with the most memorable music."
+    },
+    {
+      id: "sit_back_and_relax",
+      name: "Sit Back and Relax",
+      description: "The best game to unwind with."
+    },
+    {
+      id: "best_game_on_steam_deck",
+      name: "Best Game on Steam Deck",
+      description: "The best game to play on the go.",
+      aliases: ["Best Game on the Go"]
+    },
+    {
+      id: "best_alternate_history",
+      name: "Best Alternate History"
+    },
+    {
+      id: "best_developer",
+      name: "Best Developer"
+    },
+    {
+      id: "best_environment",
+      name: "Best Environment"
+    },
+    {
+      id: "most_fun_with_a_machine",
+      name: "Most Fun with a Machine"
+    }
+  ];
+
+  /**
+   * Loose matching key for a raw title:
+   *   "Best Soundtrack" / "BestSoundtrack" / "best_soundtrack" => "bestsoundtrack"
+   */
+  function buildAwardCategoryKey(title) {
+    return String(title || "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+  }
+
+  /**
+   * Lookup: loose key (of id, name and aliases) -> registry entry.
+   */
+  const AWARD_CATEGORY_INDEX = new Map();
+  AWARD_CATEGORIES.forEach((c) => {
+    [c.id, c.name, ...(c.aliases || [])].forEach((t) => {
+      AWARD_CATEGORY_INDEX.set(buildAwardCategoryKey(t), c);
+    });
+  });
+
+  /**
+   * Raw titles that matched no registry entry (reported once each).
+   */
+  const _unknownAwardTitles = new Set();
+
+  /**
+   * Resolve a raw award title (or an ID from a URL) to its category.
+   * Returns: { id, name, description, known }
+   *
+   * Unknown titles still get a usable snake_case ID and keep their raw name,
+   * and are reported via console.warn unless options.report is false
+   * (e.g. for IDs typed into a URL).
+   */
+  function resolveAwardCategory(title, options = {}) {
+    const raw = String(title || "").trim();
+    const entry = AWARD_CATEGORY_INDEX.get(buildAwardCategoryKey(raw));
+
+    if (entry) {
+      return { id: entry.id, name: entry.name, description: entry.description || "", known: true };
+    }
+
+    if (raw && options.report !== false && !_unknownAwardTitles.has(raw)) {
+      _unknownAwardTitles.add(raw);
+      console.warn(`[AwardHub] Unknown award category "${raw}". Add it to AWARD_CATEGORIES in js/shared/categories.js.`);
+    }
+
+    return {
+      id: raw.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""),
+      name: raw,
+      description: "",
+      known: false
+    };
+  }
+
+  /**
+   * Unknown titles seen so far (debugging: AwardHubCategories.getUnknownAwardTitles()).
+   */
+  function getUnknownAwardTitles() {
+    return Array.from(_unknownAwardTitles);
+  }
+
+  return {
+    AWARD_CATEGORIES,
+    buildAwardCategoryKey,
+    resolveAwardCategory,
+    getUnknownAwardTitles
+  };
+});
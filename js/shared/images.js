@@ -0,0 +1,203 @@
+/* AwardHub - game image rules (shared)
+ *
+ * Used by:
+ * - the app (imported by js/src/*.js, bundled by webpack)
+ * - Node tools (require("../js/shared/images.js"))
+ *
+ * Keep this file dependency-free and ES2020 so Node can require it as is.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AwardHubImages = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  "use strict";
+
+  const PLACEHOLDER_URL = "/img/placeholder.png";
+
+  /**
+   * Image lookup order for a slug:
+   * - extensions: WebP first (what the site ships), then legacy formats
+   * - suffixes: alternate files for the same slug ("<slug>_2.jpg", "<slug>_3.jpg", ...),
+   *   unless another known game has that name (resolveGameImage)
+   */
+  const IMAGE_EXTENSIONS = [".webp", ".jpg", ".jpeg", ".png"];
+  const IMAGE_SUFFIXES = ["", "_2", "_3", "_4", "_5"];
+
+  /**
+   * Responsive variants built by tools/build_images.js ("<slug>-<width>w.<format>").
+   * - widths: capped at the source width (which is always included)
+   * - formats: in <picture> <source> order, best compression first
+   */
+  const RESPONSIVE_WIDTHS = [160, 320, 640];
+  const RESPONSIVE_FORMATS = ["avif", "webp"];
+
+  /**
+   * Convert a game name into a filename-friendly slug that matches your repo files.
+   *
+   * Your repo naming rules (based on your actual /img/<year>/ filenames):
+   * - lowercase
+   * - tokens separated by underscore "_"
+   * - "'s" becomes "_s" (IMPORTANT)
+   *   Example: "Assassin's Creed" -> "assassin_s_creed"
+   * - remove trademark symbols: ® ™ ©
+   * - "&" becomes "and"
+   * - collapse repeated underscores
+   * - trim underscores
+   */
+  function slugifyGameName(name) {
+    if (!name) return "";
+
+    return String(name)
+      .toLowerCase()
+      .trim()
+
+      // Normalize common symbols
+      .replace(/&/g, " and ")
+      .replace(/[®™©]/g, "_")
+
+      // Keep a separator for "'s"
+      .replace(/'s\b/g, "_s")
+
+      // Remaining apostrophes also become separators
+      .replace(/'/g, "_")
+
+      // Replace any non-alphanumeric with underscore
+      .replace(/[^a-z0-9]+/g, "_")
+
+      // Collapse multiple underscores
+      .replace(/_+/g, "_")
+
+      // Trim underscores
+      .replace(/^_+|_+$/g, "");
+  }
+
+  /**
+   * Build an icon URL from year + game name.
+   * - manifest: build-time image manifest (tools/image_manifest.js). When given, the URL is
+   *   the first file that really exists, or the placeholder when there is none.
+   * - without a manifest (unbundled app, tools): WebP guess
+   * - knownSlugs: see resolveGameImage()
+   * Example:
+   *   /img/2018/assassin_s_creed_odyssey.webp
+   */
+  function buildGameImageUrl(year, gameName, manifest, knownSlugs = []) {
+    const slug = slugifyGameName(gameName);
+    if (!year || !slug) return PLACEHOLDER_URL;
+    if (!manifest) return `/img/${year}/${slug}.webp`;
+
+    const file = resolveGameImage(year, gameName, createManifestLookup(manifest), knownSlugs);
+    return file ? `/${file}` : PLACEHOLDER_URL;
+  }
+
+  /**
+   * File entry of a manifest for "img/<year>/<slug><ext>", or null.
+   * Entry shape: { width, height, variants? } (null when the build could not read the size),
+   * where variants is { avif: [160, 320, 460], webp: [...] } for the file that was resized.
+   */
+  function getManifestEntry(manifest, relativePath) {
+    const m = /^\/?img\/(\d{4})\/([^/]+)\.([a-z0-9]+)$/i.exec(String(relativePath || ""));
+    if (!manifest || !m) return null;
+
+    const formats = manifest[m[1]] && manifest[m[1]][m[2]];
+    if (!formats || !Object.prototype.hasOwnProperty.call(formats, m[3].toLowerCase())) return null;
+    return formats[m[3].toLowerCase()] || {};
+  }
+
+  /**
+   * exists() predicate for resolveGameImage backed by a manifest.
+   */
+  function createManifestLookup(manifest) {
+    return (relativePath) => getManifestEntry(manifest, relativePath) !== null;
+  }
+
+  /**
+   * Variant widths to build for a source image of the given pixel width.
+   * Example:
+   *   listVariantWidths(460) => [160, 320, 460]
+   *   listVariantWidths(1024) => [160, 320, 640]
+   */
+  function listVariantWidths(sourceWidth) {
+    const max = Math.min(Number(sourceWidth) || 0, RESPONSIVE_WIDTHS[RESPONSIVE_WIDTHS.length - 1]);
+    if (max <= 0) return [];
+
+    const widths = RESPONSIVE_WIDTHS.filter((w) => w < max);
+    widths.push(max);
+    return widths;
+  }
+
+  /**
+   * Path of a resized variant next to its source (works for "/img/..." and "img/...").
+   * Example:
+   *   buildImageVariantPath("/img/2018/rocket_league.webp", 160, "avif")
+   *   => "/img/2018/rocket_league-160w.avif"
+   */
+  function buildImageVariantPath(sourcePath, width, format) {
+    return String(sourcePath).replace(/\.[a-z0-9]+$/i, `-${width}w.${format}`);
+  }
+
+  /**
+   * Every file an icon may live in, in lookup order (paths relative to the site root).
+   * Example:
+   *   listGameImageCandidates(2020, "DOOM Eternal")
+   *   => ["img/2020/doom_eternal.webp", "img/2020/doom_eternal.jpg", ..., "img/2020/doom_eternal_5.png"]
+   */
+  function listGameImageCandidates(year, gameName) {
+    const slug = slugifyGameName(gameName);
+    if (!year || !slug) return [];
+
+    const out = [];
+    IMAGE_SUFFIXES.forEach((suffix) => {
+      IMAGE_EXTENSIONS.forEach((ext) => {
+        out.push(`img/${year}/${slug}${suffix}${ext}`);
+      });
+    });
+    return out;
+  }
+
+  /**
+   * File name without directory and extension:
+   *   getImageSlug("img/2023/counter_strike_2.webp") => "counter_strike_2"
+   */
+  function getImageSlug(relativePath) {
+    return String(relativePath || "")
+      .replace(/^.*\//, "")
+      .replace(/\.[a-z0-9]+$/i, "");
+  }
+
+  /**
+   * First existing image for a game, or null.
+   * - exists(relativePath): file check supplied by the caller
+   *   (fs.existsSync in Node, a manifest lookup in the browser)
+   * - knownSlugs: slugs of the known winners (Set or array). A suffixed file named after
+   *   one of them is that game's image: "counter_strike_2.webp" belongs to Counter-Strike 2,
+   *   it is no alternate for Counter-Strike.
+   */
+  function resolveGameImage(year, gameName, exists, knownSlugs = []) {
+    const slug = slugifyGameName(gameName);
+    const taken = knownSlugs instanceof Set ? knownSlugs : new Set(knownSlugs);
+
+    return (
+      listGameImageCandidates(year, gameName).find((p) => {
+        const fileSlug = getImageSlug(p);
+        return (fileSlug === slug || !taken.has(fileSlug)) && exists(p);
+      }) || null
+    );
+  }
+
+  return {
+    PLACEHOLDER_URL,
+    IMAGE_EXTENSIONS,
+    IMAGE_SUFFIXES,
+    RESPONSIVE_WIDTHS,
+    RESPONSIVE_FORMATS,
+    slugifyGameName,
+    buildGameImageUrl,
+    listGameImageCandidates,
+    getImageSlug,
+    resolveGameImage,
+    getManifestEntry,
+    createManifestLookup,
+    listVariantWidths,
+    buildImageVariantPath
+  };
+});
@@ -0,0 +1,149 @@
+/* AwardHub - store link providers (shared)
+ *
+ * Used by:
+ * - the app (imported by js/src/*.js, bundled by webpack)
+ * - Node tools (require("../js/shared/providers.js"))
+ *
+ * Keep this file dependency-free and ES2020 so Node can require it as is.
+ * Providers come from data/link_providers.json (validated by tools/link_providers.js):
+ *
+ *   { "id": "amazon", "label": "Buy on Amazon", "style": "accent",
+ *     "urls": ["https://{host}/s?k={query}&tag={tag}", "https://{host}/s?k={query}"],
+ *     "defaultMarket": "us",
+ *     "markets": { "us": { "label": "United States", "host": "www.amazon.com",
+ *                          "tag": "ahgames-20", "locales": ["en-US", "en"] } } }
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AwardHubProviders = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  "use strict";
+
+  /**
+   * Placeholders a URL template may use:
+   * - query: game name (URL-encoded)
+   * - slug: game slug (slugifyGameName)
+   * - steamAppId / steamUrl: Steam app ID and store page, when known
+   * - host / tag: from the selected market, else from the provider's params
+   *   (tag is URL-encoded, host is used as is)
+   */
+  const LINK_PLACEHOLDERS = ["query", "slug", "steamAppId", "steamUrl", "host", "tag"];
+
+  const PLACEHOLDER_RE = /\{([A-Za-z]+)\}/g;
+
+  /**
+   * encodeURIComponent, plus the quote it leaves alone ("Baldur's Gate 3").
+   */
+  function encodeValue(value) {
+    return encodeURIComponent(value).replace(/'/g, "%27");
+  }
+
+  /**
+   * Fill a URL template. Returns "" when a placeholder has no value (the caller tries the
+   * next template) or the result is not an absolute http(s) URL.
+   */
+  function fillUrlTemplate(template, values) {
+    let missing = false;
+    const url = String(template || "").replace(PLACEHOLDER_RE, (_, name) => {
+      const v = values && Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] ?? "") : "";
+      if (!v) missing = true;
+      return v;
+    });
+    return !missing && /^https?:\/\/[^\s"'<>]+$/i.test(url) ? url : "";
+  }
+
+  /**
+   * Lower-cased locale tags without empties: ["en-GB", "en"] => ["en-gb", "en"].
+   */
+  function normalizeLocales(locales) {
+    return (Array.isArray(locales) ? locales : [locales])
+      .map((l) => String(l || "").trim().toLowerCase().replace(/_/g, "-"))
+      .filter(Boolean);
+  }
+
+  /**
+   * Market ID for a provider with markets, "" for one without.
+   * Order:
+   * - override: a market the user picked, when the provider has it
+   * - the first preferred locale a market lists, exactly ("en-gb") or by language ("de-at" => "de")
+   * - provider.defaultMarket, else the first market
+   */
+  function pickMarket(provider, locales, override = "") {
+    const markets = (provider && provider.markets) || null;
+    const ids = markets ? Object.keys(markets) : [];
+    if (ids.length === 0) return "";
+    if (override && ids.includes(override)) return override;
+
+    const listed = (id) => normalizeLocales(markets[id].locales || []);
+    for (const locale of normalizeLocales(locales)) {
+      const exact = ids.find((id) => listed(id).includes(locale));
+      if (exact) return exact;
+
+      const language = locale.split("-")[0];
+      const byLanguage = ids.find((id) => listed(id).includes(language));
+      if (byLanguage) return byLanguage;
+    }
+
+    return ids.includes(provider.defaultMarket) ? provider.defaultMarket : ids[0];
+  }
+
+  /**
+   * Link for one provider, or null when none of its templates can be filled.
+   * - game: { name, slug, steamAppId, steamUrl }
+   * - options.locales: preferred locales (navigator.languages)
+   * - options.market: market override
+   * Returns: { id, label, style, market, url }
+   */
+  function buildProviderLink(provider, game, options = {}) {
+    const name = String((game && game.name) || "").trim();
+    if (!provider || !name) return null;
+
+    const market = pickMarket(provider, options.locales || [], options.market || "");
+    const params = { ...(provider.params || {}), ...(market ? provider.markets[market] : {}) };
+    const values = {
+      query: encodeValue(name),
+      slug: (game && game.slug) || "",
+      steamAppId: (game && game.steamAppId) || "",
+      steamUrl: (game && game.steamUrl) || "",
+      host: params.host || "",
+      tag: params.tag ? encodeValue(params.tag) : ""
+    };
+
+    for (const template of provider.urls || []) {
+      const url = fillUrlTemplate(template, values);
+      if (url) return { id: provider.id, label: provider.label, style: provider.style || "", market, url };
+    }
+    return null;
+  }
+
+  /**
+   * One link per configured provider, in config order (providers without a link are left out).
+   */
+  function buildProviderLinks(providers, game, options = {}) {
+    return (Array.isArray(providers) ? providers : [])
+      .map((p) => buildProviderLink(p, game, options))
+      .filter(Boolean);
+  }
+
+  /**
+   * Every market across providers, for a region picker: [{ id, label }] in config order.
+   */
+  function listMarkets(providers) {
+    const out = new Map();
+    (Array.isArray(providers) ? providers : []).forEach((p) => {
+      Object.entries((p && p.markets) || {}).forEach(([id, m]) => {
+        if (!out.has(id)) out.set(id, { id, label: (m && m.label) || id.toUpperCase() });
+      });
+    });
+    return Array.from(out.values());
+  }
+
+  return {
+    LINK_PLACEHOLDERS,
+    fillUrlTemplate,
+    pickMarket,
+    buildProviderLink,
+    buildProviderLinks,
+    listMarkets
+  };
+});
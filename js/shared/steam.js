@@ -0,0 +1,74 @@
+/* AwardHub - Steam store links (shared)
+ *
+ * Used by:
+ * - the app (imported by js/src/*.js, bundled by webpack)
+ * - Node tools (require("../js/shared/steam.js"))
+ *
+ * Keep this file dependency-free and ES2020 so Node can require it as is.
+ * Game slugs come from the caller (slugifyGameName in js/shared/images.js).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AwardHubSteam = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  "use strict";
+
+  const STEAM_STORE_BASE_URL = "https://store.steampowered.com/app/";
+  const STEAM_HUB_BASE_URL = "https://steamcommunity.com/app/";
+  const STEAM_CDN_BASE_URL = "https://cdn.akamai.steamstatic.com/steam/apps/";
+
+  /**
+   * App ID from a sheet cell: a number ("2358720") or a store / community URL
+   * ("https://store.steampowered.com/app/2358720/Black_Myth_Wukong/").
+   * Returns the ID as a string, "" when there is none.
+   */
+  function parseSteamAppId(value) {
+    const s = String(value == null ? "" : value).trim();
+    if (/^\d+$/.test(s)) return Number(s) > 0 ? String(Number(s)) : "";
+
+    const m = /^https?:\/\/(?:store\.steampowered\.com|steamcommunity\.com)\/app\/(\d+)(?:[/?#]|$)/i.exec(s);
+    return m && Number(m[1]) > 0 ? String(Number(m[1])) : "";
+  }
+
+  /**
+   * App ID for a game, "" when unknown.
+   * Lookup order:
+   * - options.id: explicit ID or store URL (sheet SteamAppId column)
+   * - options.table: lookup table keyed by game slug (data/steam_app_ids.json)
+   */
+  function resolveSteamAppId(slug, options = {}) {
+    const explicit = parseSteamAppId(options.id);
+    if (explicit) return explicit;
+
+    const table = options.table;
+    if (!table || !slug || !Object.prototype.hasOwnProperty.call(table, slug)) return "";
+    return parseSteamAppId(table[slug]);
+  }
+
+  /**
+   * URLs built from an app ID (every field is "" without one):
+   * - storeUrl: store page
+   * - hubUrl: community hub
+   * - capsuleUrl: 460x215 header capsule, the same size as the icons in img/<year>/
+   */
+  function buildSteamLinks(appId) {
+    const id = parseSteamAppId(appId);
+    if (!id) return { appId: "", storeUrl: "", hubUrl: "", capsuleUrl: "" };
+
+    return {
+      appId: id,
+      storeUrl: `${STEAM_STORE_BASE_URL}${id}/`,
+      hubUrl: `${STEAM_HUB_BASE_URL}${id}/`,
+      capsuleUrl: `${STEAM_CDN_BASE_URL}${id}/header.jpg`
+    };
+  }
+
+  return {
+    STEAM_STORE_BASE_URL,
+    STEAM_HUB_BASE_URL,
+    STEAM_CDN_BASE_URL,
+    parseSteamAppId,
+    resolveSteamAppId,
+    buildSteamLinks
+  };
+});
@@ -0,0 +1,176 @@
+/* AwardHub - click analytics
+ *
+ * - Events: outbound clicks on the external link buttons (Read Post, stores, community hub)
+ *   and award chip selections, tagged with year, award ID and provider.
+ * - An event carries no cookie, identifier or anything else about the visitor.
+ * - Nothing is sent under Do-Not-Track / Global Privacy Control, or after the visitor
+ *   turned click stats off in the footer (kept in localStorage).
+ * - Events go to one pluggable sink ({ send(event) }); the default is chosen at build time.
+ */
+
+/**
+ * Where events go by default (AWARDHUB_ANALYTICS_ENDPOINT when building):
+ * - "" : nowhere, analytics is off
+ * - "console": the browser console (local debugging)
+ * - a URL: POSTed there as JSON with navigator.sendBeacon
+ * Imported outside webpack (Node tests) it is "": tests install a memory sink.
+ */
+export const ANALYTICS_ENDPOINT =
+  typeof __AWARDHUB_ANALYTICS_ENDPOINT__ !== "undefined" ? __AWARDHUB_ANALYTICS_ENDPOINT__ : "";
+
+export const ANALYTICS_OPT_OUT_KEY = "awardhub:analytics-opt-out";
+
+export const OUTBOUND_CLICK_EVENT = "outbound_click";
+export const AWARD_SELECT_EVENT = "award_select";
+
+/* ============================================================================
+   Sinks
+   ============================================================================ */
+
+/**
+ * Logs every event (development).
+ */
+export function createConsoleSink(log = console.info) {
+  return {
+    send(event) {
+      log("[AwardHub] analytics", event);
+    }
+  };
+}
+
+/**
+ * Keeps events in sink.events (tests).
+ */
+export function createMemorySink() {
+  const events = [];
+  return {
+    events,
+    send(event) {
+      events.push(event);
+    }
+  };
+}
+
+/**
+ * POSTs each event as JSON text to `url`. sendBeacon survives the page being left for
+ * the outbound link; a plain-text body needs no CORS preflight.
+ */
+export function createBeaconSink(url) {
+  return {
+    send(event) {
+      const body = JSON.stringify(event);
+      if (typeof navigator !== "undefined" && typeof navigator.sendBeacon === "function") {
+        if (navigator.sendBeacon(url, body)) return;
+      }
+      fetch(url, { method: "POST", body, keepalive: true }).catch(() => {});
+    }
+  };
+}
+
+function createDefaultSink(endpoint) {
+  if (!endpoint) return null;
+  return endpoint === "console" ? createConsoleSink() : createBeaconSink(endpoint);
+}
+
+let _sink = createDefaultSink(ANALYTICS_ENDPOINT);
+
+/**
+ * Replace the sink (null turns analytics off).
+ */
+export function setAnalyticsSink(sink) {
+  _sink = sink || null;
+}
+
+export function hasAnalyticsSink() {
+  return Boolean(_sink);
+}
+
+/* ============================================================================
+   Consent
+   ============================================================================ */
+
+/**
+ * Do-Not-Track (navigator / window, old vendor spellings) or Global Privacy Control.
+ */
+export function isDoNotTrack() {
+  const nav = typeof navigator !== "undefined" ? navigator : {};
+  const win = typeof window !== "undefined" ? window : {};
+  const dnt = [nav.doNotTrack, win.doNotTrack, nav.msDoNotTrack].map((v) => String(v ?? ""));
+  return dnt.includes("1") || dnt.includes("yes") || nav.globalPrivacyControl === true;
+}
+
+/**
+ * The visitor turned click stats off. Unavailable storage counts as not opted out:
+ * nothing could be remembered either way.
+ */
+export function isOptedOut() {
+  try {
+    return localStorage.getItem(ANALYTICS_OPT_OUT_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+export function setOptedOut(optedOut) {
+  try {
+    if (optedOut) localStorage.setItem(ANALYTICS_OPT_OUT_KEY, "1");
+    else localStorage.removeItem(ANALYTICS_OPT_OUT_KEY);
+  } catch (e) {
+    console.warn(`[AwardHub] Could not save analytics choice: ${e.message || e}`);
+  }
+}
+
+/**
+ * Events are recorded only with a sink, without Do-Not-Track and without an opt-out.
+ */
+export function isAnalyticsEnabled() {
+  return Boolean(_sink) && !isDoNotTrack() && !isOptedOut();
+}
+
+/* ============================================================================
+   Events
+   ============================================================================ */
+
+/**
+ * Record one event: { type, path, year?, awardId?, provider? }.
+ * Returns true when it was handed to the sink. A failing sink is logged, never thrown.
+ */
+export function trackEvent(type, fields = {}) {
+  if (!isAnalyticsEnabled()) return false;
+
+  const event = { type, path: location.pathname };
+  const year = Number(fields.year);
+  if (Number.isInteger(year)) event.year = year;
+  if (fields.awardId) event.awardId = String(fields.awardId);
+  if (fields.provider) event.provider = String(fields.provider);
+
+  try {
+    _sink.send(event);
+    return true;
+  } catch (e) {
+    console.warn(`[AwardHub] Analytics sink failed: ${e.message || e}`);
+    return false;
+  }
+}
+
+/**
+ * Outbound clicks on links tagged by renderExternalButtons (data-provider, data-year,
+ * data-award-id). Middle clicks open the link too, hence auxclick.
+ */
+export function wireOutboundClicks() {
+  const onClick = (e) => {
+    if (e.type === "auxclick" && e.button !== 1) return;
+
+    const a = e.target?.closest?.("a[data-provider]");
+    if (!a) return;
+
+    trackEvent(OUTBOUND_CLICK_EVENT, {
+      provider: a.getAttribute("data-provider"),
+      year: a.getAttribute("data-year"),
+      awardId: a.getAttribute("data-award-id")
+    });
+  };
+
+  document.addEventListener("click", onClick);
+  document.addEventListener("auxclick", onClick);
+}
@@ -0,0 +1,204 @@
+/* AwardHub - award carousel (chip row on the year page) */
+
+import AwardHubImages from "../shared/images.js";
+import { escapeHtml } from "./dom.js";
+import { imgWithFallback } from "./images.js";
+
+const { PLACEHOLDER_URL } = AwardHubImages;
+
+/* ============================================================================
+   Award carousel
+   ============================================================================ */
+
+/**
+ * Carousel items, following the WAI-ARIA tabs pattern:
+ * - the track is the tablist, every chip a tab controlling #featuredAward
+ * - only the selected chip is in the tab order (roving tabindex), the arrow keys
+ *   move between chips (wireCarouselKeys)
+ * Options:
+ * - title: carousel heading (defaults to "Awards")
+ * - labelOf: chip heading for an award (defaults to its name)
+ */
+export function renderAwardCarousel(awards, selectedIndex, options = {}) {
+  const labelOf = options.labelOf || ((a) => a.award_name || "Award");
+  const title = escapeHtml(options.title || "Awards");
+  const items = awards
+    .map((a, idx) => {
+      const isActive = idx === selectedIndex;
+      const awardName = escapeHtml(labelOf(a, idx));
+      const winnerName = escapeHtml(a?.winner?.game_name || "Unknown");
+      const icon = a?.winner?.icon_url || PLACEHOLDER_URL;
+      const key = escapeHtml(a.award_id || String(idx));
+
+      return `
+        <button class="awardChip ${isActive ? "is-active" : ""}"
+                type="button"
+                id="${carouselChipId(idx)}"
+                role="tab"
+                aria-selected="${isActive}"
+                aria-controls="featuredAward"
+                tabindex="${isActive ? 0 : -1}"
+                data-award-idx="${idx}"
+                data-award-key="${key}"
+                aria-label="${awardName}: ${winnerName}">
+          <div class="awardChip__imgWrap">
+            ${imgWithFallback(icon, "awardChip__img")}
+          </div>
+          <div class="awardChip__text">
+            <div class="awardChip__award">${awardName}</div>
+            <div class="awardChip__winner">${winnerName}</div>
+          </div>
+        </button>
+      `;
+    })
+    .join("");
+
+  return `
+    <section class="carousel">
+      <div class="carousel__title">${title}</div>
+      <div class="carousel__track" id="awardCarousel" role="tablist" aria-label="${title}" aria-orientation="horizontal">
+        ${items}
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Element id of the chip at `idx` (the featured panel is labelled by it).
+ */
+export function carouselChipId(idx) {
+  return `awardChip-${idx}`;
+}
+
+/* ============================================================================
+   Carousel updates (in place)
+   ============================================================================ */
+
+/**
+ * Move the selection to the chip whose data-award-idx is `idx`: active class,
+ * aria-selected and the roving tabindex. Returns that chip (null when missing).
+ */
+export function setCarouselSelection(track, idx) {
+  let selected = null;
+  track.querySelectorAll(".awardChip").forEach((chip) => {
+    const isActive = Number(chip.getAttribute("data-award-idx")) === idx;
+    chip.classList.toggle("is-active", isActive);
+    chip.setAttribute("aria-selected", String(isActive));
+    chip.tabIndex = isActive ? 0 : -1;
+    if (isActive) selected = chip;
+  });
+  return selected;
+}
+
+/**
+ * Show only the chips listed in `order` (data-award-idx values), in that order.
+ * Chips are hidden and moved, never re-created: their images, listeners and the
+ * track scroll position stay as they are.
+ */
+export function filterCarouselChips(track, order) {
+  const chips = new Map(
+    Array.from(track.querySelectorAll(".awardChip"), (chip) => [Number(chip.getAttribute("data-award-idx")), chip])
+  );
+  const shown = new Set(order);
+  chips.forEach((chip, idx) => {
+    chip.hidden = !shown.has(idx);
+  });
+
+  const visible = order.map((idx) => chips.get(idx)).filter(Boolean);
+  const current = visibleCarouselChips(track);
+  if (visible.some((chip, i) => current[i] !== chip)) track.append(...visible);
+}
+
+/**
+ * Chips not hidden by filterCarouselChips, in document order.
+ */
+export function visibleCarouselChips(track) {
+  return Array.from(track.querySelectorAll(".awardChip:not([hidden])"));
+}
+
+/* ============================================================================
+   Carousel keyboard support
+   ============================================================================ */
+
+const CAROUSEL_KEYS = {
+  ArrowLeft: (pos, count) => (pos - 1 + count) % count,
+  ArrowRight: (pos, count) => (pos + 1) % count,
+  Home: () => 0,
+  End: (_, count) => count - 1
+};
+
+/**
+ * Left / Right (wrapping), Home and End on a chip select the next visible one.
+ * - select(idx, { keyboard: true }): the page's own chip selection, given the chip's
+ *   data-award-idx (keyboard moves replace the URL instead of adding history entries)
+ * - afterwards focus moves to the selected chip
+ */
+export function wireCarouselKeys(track, select) {
+  track.addEventListener("keydown", (e) => {
+    const move = CAROUSEL_KEYS[e.key];
+    const chip = e.target.closest(".awardChip");
+    if (!move || !chip || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const chips = visibleCarouselChips(track);
+    const pos = chips.indexOf(chip);
+    if (pos < 0) return;
+
+    e.preventDefault();
+    select(Number(chips[move(pos, chips.length)].getAttribute("data-award-idx")), { keyboard: true });
+
+    const selected = document.querySelector('#awardCarousel .awardChip[aria-selected="true"]');
+    if (selected) selected.focus({ preventScroll: true });
+  });
+}
+
+/* ============================================================================
+   Carousel scroll behavior control (fix long replay animation)
+   ============================================================================ */
+
+/**
+ * Temporarily force scroll-behavior to avoid CSS overriding JS.
+ *
+ * Why:
+ * - If you set `.carousel__track { scroll-behavior: smooth; }` in CSS,
+ *   browsers may still animate long scroll even when JS uses behavior:"auto".
+ * - We hard override with inline style during "jump" operations.
+ */
+export function withTempScrollBehavior(track, behavior, fn) {
+  if (!track) return;
+  const prev = track.style.scrollBehavior;
+  track.style.scrollBehavior = behavior;
+  try {
+    fn();
+  } finally {
+    track.style.scrollBehavior = prev;
+  }
+}
+
+/**
+ * Smart horizontal scrolling:
+ * - For near distance: smooth
+ * - For far distance: jump (auto), no replay-like long animation
+ */
+export function scrollChipIntoViewSmart(track, chip) {
+  if (!track || !chip) return;
+
+  const targetLeft = chip.offsetLeft - (track.clientWidth - chip.clientWidth) / 2;
+  const clampedLeft = Math.max(0, targetLeft);
+
+  const currentLeft = track.scrollLeft;
+  const distance = Math.abs(clampedLeft - currentLeft);
+
+  const FAR_THRESHOLD = track.clientWidth * 0.9;
+
+  if (distance > FAR_THRESHOLD) {
+    // Hard jump: must be truly instant.
+    withTempScrollBehavior(track, "auto", () => {
+      track.scrollTo({ left: clampedLeft, behavior: "auto" });
+    });
+  } else {
+    // Micro movement: allow smooth.
+    withTempScrollBehavior(track, "smooth", () => {
+      track.scrollTo({ left: clampedLeft, behavior: "smooth" });
+    });
+  }
+}
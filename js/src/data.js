@@ -0,0 +1,626 @@
+/* AwardHub - data loading
+ *
+ * - Rows come from the Google Sheet (Apps Script JSON API) or the bundled
+ *   data/steam_awards_<year>.json files, in DEFAULT_DATA_SOURCES order.
+ * - Rows are cached in localStorage and revalidated in the background
+ *   (stale-while-revalidate); changes are announced with DATA_UPDATED_EVENT.
+ * - Rows are turned into the UI shapes the views render (year data, category
+ *   history, awards of a game).
+ */
+
+import AwardHubImages from "../shared/images.js";
+import AwardHubCategories from "../shared/categories.js";
+import { resolveBlogUrl, resolveSteamLinks } from "./links.js";
+import { IMAGE_MANIFEST } from "./images.js";
+
+const { PLACEHOLDER_URL, slugifyGameName, buildGameImageUrl } = AwardHubImages;
+const { resolveAwardCategory } = AwardHubCategories;
+
+/* ============================================================================
+   Data source
+   ============================================================================ */
+
+/**
+ * Google Sheet JSON API endpoint (Apps Script Web App).
+ * It returns:
+ * {
+ *   ok: true,
+ *   sheet: "...",
+ *   rows: N,
+ *   data: [{Year, Title, Winner, ...}, ...]
+ * }
+ */
+export const SHEET_API_URL =
+  "https://script.google.com/macros/s/AKfycbwqm5cQV5jB7QHkAgRAySN4ie9Q1ugEuH8EwwygkDsHaZn21vqMrsiRXk-GJrH5ElRN/exec?sheet=steam_awards_all";
+
+/**
+ * Give up on the Sheet API after this long and fall through to the next source.
+ * Apps Script cold starts are slow, but anything past this is treated as "down".
+ */
+export const SHEET_TIMEOUT_MS = 8000;
+
+/**
+ * Static fallback bundled with the site:
+ * - data/index.json lists the years that have a data/steam_awards_<year>.json file.
+ * - Each file uses the { year, awards: [{ award_name, winner: { game_name } }] } shape.
+ */
+export const STATIC_DATA_INDEX_URL = "/data/index.json";
+
+export function buildStaticYearUrl(year) {
+  return `/data/steam_awards_${year}.json`;
+}
+
+/**
+ * Default source order, tried left to right until one succeeds.
+ *
+ * Build time:
+ * - webpack replaces __AWARDHUB_DATA_SOURCES__ from the AWARDHUB_DATA_SOURCES env var
+ *   (e.g. AWARDHUB_DATA_SOURCES=static npm start for a fully offline dev server).
+ * - Imported outside webpack (Node tests) the identifier does not exist, hence the typeof guard
+ *   (tools/prerender.js defines it as a global).
+ *
+ * Runtime:
+ * - "?source=static" (or "?source=sheet,static") on the URL overrides the build default.
+ */
+export const DEFAULT_DATA_SOURCES =
+  typeof __AWARDHUB_DATA_SOURCES__ !== "undefined" ? __AWARDHUB_DATA_SOURCES__ : "sheet,static";
+
+/**
+ * Persistent row cache (localStorage), stale-while-revalidate:
+ * - Entries carry a schema version, the source order they came from and a timestamp.
+ * - Bump DATA_CACHE_VERSION whenever the row shape changes; old entries are ignored.
+ * - Younger than DATA_CACHE_MAX_AGE_MS: used as-is.
+ * - Older: still rendered immediately, then refreshed in the background.
+ */
+export const DATA_CACHE_KEY = "awardhub:rows";
+
+export const DATA_CACHE_VERSION = 4;
+
+export const DATA_CACHE_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Fired on window when a background refresh brings different rows.
+ * detail: { years: number[] (years whose rows changed), yearsChanged: boolean }
+ */
+export const DATA_UPDATED_EVENT = "awardhub:data-updated";
+
+/**
+ * In-memory copy of the current rows:
+ * - Avoid repeated storage reads / network calls when navigating between years.
+ * - Seeded from the persistent cache on first use.
+ */
+let _sheetCache = null;
+
+/**
+ * Pending background refresh (dedupes concurrent revalidations).
+ */
+let _revalidatePromise = null;
+
+/* ============================================================================
+   Fetch + transform data
+   ============================================================================ */
+
+/**
+ * Fetch with a hard timeout (AbortController).
+ * - A slow source is reported as an error so the caller can fall back.
+ * - options.signal (the navigation's, see route()) cancels the request too; that
+ *   rejection stays an AbortError.
+ */
+export async function fetchWithTimeout(url, options = {}, timeoutMs = SHEET_TIMEOUT_MS) {
+  const { signal } = options;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener("abort", onAbort);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (e) {
+    if (e && e.name === "AbortError" && !signal?.aborted) {
+      throw new Error(`Request timed out after ${timeoutMs} ms`);
+    }
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Source: Google Sheet via Apps Script.
+ * - options.signal: cancels the request
+ * Returns flat rows: [{Year, Title, Winner, ...}, ...]
+ */
+export async function loadRowsFromSheet(options = {}) {
+  const res = await fetchWithTimeout(SHEET_API_URL, { cache: "no-store", signal: options.signal });
+  if (!res.ok) throw new Error(`Failed to load sheet api (HTTP ${res.status})`);
+
+  const json = await res.json();
+  if (!json || json.ok !== true) {
+    throw new Error(json?.error || "Sheet API returned not ok");
+  }
+
+  return Array.isArray(json.data) ? json.data : [];
+}
+
+/**
+ * Convert one data/steam_awards_<year>.json document back into sheet-shaped rows,
+ * so every source feeds the same buildYearDataFromRows() pipeline.
+ */
+export function rowsFromStaticYearJson(doc) {
+  const year = Number(doc?.year);
+  if (!Number.isFinite(year)) return [];
+
+  const awards = Array.isArray(doc.awards) ? doc.awards : [];
+  return awards.map((a) => ({
+    Year: year,
+    Title: String(a?.award_name || "").trim(),
+    Winner: String(a?.winner?.game_name || "").trim(),
+    BlogUrl: String(a?.winner?.blogger_url || "").trim(),
+    SteamAppId: String(a?.winner?.steam_app_id || a?.winner?.steam_url || "").trim(),
+    Nominees: (Array.isArray(a?.nominees) ? a.nominees : [])
+      .map((n) => String(n?.game_name || "").trim())
+      .filter(Boolean)
+  }));
+}
+
+/**
+ * Source: static JSON files shipped in /data.
+ * - Years listed in data/index.json are loaded in parallel.
+ * - A missing or unreadable year file is skipped (e.g. a year not exported yet),
+ *   but at least one year must load for the source to count as available.
+ * - options.signal: cancels the requests
+ */
+export async function loadRowsFromStaticJson(options = {}) {
+  const { signal } = options;
+  const res = await fetch(STATIC_DATA_INDEX_URL, { signal });
+  if (!res.ok) throw new Error(`Failed to load ${STATIC_DATA_INDEX_URL} (HTTP ${res.status})`);
+
+  const index = await res.json();
+  const years = Array.isArray(index?.years) ? index.years : [];
+
+  const perYear = await Promise.all(
+    years.map(async (y) => {
+      const url = buildStaticYearUrl(y);
+      try {
+        const r = await fetch(url, { signal });
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return rowsFromStaticYearJson(await r.json());
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        console.warn(`[AwardHub] Skipping ${url}: ${e.message || e}`);
+        return null;
+      }
+    })
+  );
+
+  const loaded = perYear.filter(Boolean);
+  if (loaded.length === 0) throw new Error("No static award data could be loaded");
+
+  return loaded.flat();
+}
+
+/**
+ * Registered data sources (name -> loader).
+ * Every loader takes { signal } and resolves to sheet-shaped rows or throws.
+ */
+export const DATA_SOURCES = {
+  sheet: loadRowsFromSheet,
+  static: loadRowsFromStaticJson
+};
+
+/**
+ * Resolve the ordered list of source names:
+ * - "?source=" query param first, then the build-time default.
+ * - Unknown names are ignored; an empty result falls back to every source.
+ */
+export function resolveDataSourceOrder() {
+  const fromQuery = new URLSearchParams(location.search).get("source");
+  const names = String(fromQuery || DEFAULT_DATA_SOURCES)
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => Object.prototype.hasOwnProperty.call(DATA_SOURCES, s));
+
+  return names.length ? names : Object.keys(DATA_SOURCES);
+}
+
+/**
+ * Load rows from the configured sources (no caching).
+ * - Tries each source in order and returns the first that succeeds.
+ * - options.signal: cancels the current request; no further source is tried
+ */
+export async function loadRowsFromSources(options = {}) {
+  let lastError = null;
+  for (const name of resolveDataSourceOrder()) {
+    try {
+      return await DATA_SOURCES[name](options);
+    } catch (e) {
+      if (options.signal?.aborted) throw e;
+      lastError = e;
+      console.warn(`[AwardHub] Data source "${name}" failed: ${e.message || e}`);
+    }
+  }
+
+  throw lastError || new Error("No data source available");
+}
+
+/**
+ * Cache entries are only valid for the source order that produced them,
+ * so "?source=static" never renders rows cached from the sheet (and vice versa).
+ */
+export function getDataCacheSourceKey() {
+  return resolveDataSourceOrder().join(",");
+}
+
+/**
+ * Read the persisted cache entry.
+ * Returns null when missing, corrupt, from another schema version or another source order.
+ * Storage may be unavailable (privacy modes), which is treated as "no cache".
+ */
+export function readRowsCache() {
+  try {
+    const raw = localStorage.getItem(DATA_CACHE_KEY);
+    if (!raw) return null;
+
+    const entry = JSON.parse(raw);
+    if (!entry || entry.v !== DATA_CACHE_VERSION) return null;
+    if (entry.sources !== getDataCacheSourceKey()) return null;
+    if (!Array.isArray(entry.rows) || !Number.isFinite(entry.savedAt)) return null;
+
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist rows with the current timestamp (best effort, quota errors are ignored).
+ */
+export function writeRowsCache(rows) {
+  try {
+    localStorage.setItem(
+      DATA_CACHE_KEY,
+      JSON.stringify({
+        v: DATA_CACHE_VERSION,
+        sources: getDataCacheSourceKey(),
+        savedAt: Date.now(),
+        rows
+      })
+    );
+  } catch (e) {
+    console.warn(`[AwardHub] Could not persist data cache: ${e.message || e}`);
+  }
+}
+
+/**
+ * Group rows by year into comparable JSON strings.
+ */
+export function serializeRowsByYear(rows) {
+  const byYear = new Map();
+  rows.forEach((r) => {
+    const y = Number(r.Year);
+    if (!byYear.has(y)) byYear.set(y, []);
+    byYear.get(y).push(r);
+  });
+
+  const out = new Map();
+  byYear.forEach((list, y) => out.set(y, JSON.stringify(list)));
+  return out;
+}
+
+/**
+ * Compare two row sets.
+ * Returns:
+ * - years: every year whose rows were added, removed or changed
+ * - yearsChanged: whether the set of available years itself changed
+ */
+export function diffRowsByYear(prevRows, nextRows) {
+  const prev = serializeRowsByYear(prevRows || []);
+  const next = serializeRowsByYear(nextRows || []);
+
+  const years = new Set();
+  prev.forEach((json, y) => {
+    if (next.get(y) !== json) years.add(y);
+  });
+  next.forEach((json, y) => {
+    if (prev.get(y) !== json) years.add(y);
+  });
+
+  const yearsChanged =
+    prev.size !== next.size || Array.from(next.keys()).some((y) => !prev.has(y));
+
+  return { years: Array.from(years).sort((a, b) => b - a), yearsChanged };
+}
+
+/**
+ * Reload rows from the sources and swap them in.
+ * - Always refreshes the persisted timestamp.
+ * - Dispatches DATA_UPDATED_EVENT only when the rows actually changed.
+ * - Concurrent calls share one request.
+ */
+export function revalidateRows() {
+  if (_revalidatePromise) return _revalidatePromise;
+
+  _revalidatePromise = (async () => {
+    try {
+      const rows = await loadRowsFromSources();
+      const diff = diffRowsByYear(_sheetCache, rows);
+
+      _sheetCache = rows;
+      writeRowsCache(rows);
+
+      if (diff.years.length > 0) {
+        window.dispatchEvent(new CustomEvent(DATA_UPDATED_EVENT, { detail: diff }));
+      }
+      return diff;
+    } finally {
+      _revalidatePromise = null;
+    }
+  })();
+
+  return _revalidatePromise;
+}
+
+/**
+ * Rows available without the network: memory, then the persisted cache (null when
+ * neither has them). A stale persisted copy is returned and refreshed in the background.
+ */
+export function getCachedRows() {
+  if (_sheetCache) return _sheetCache;
+
+  const cached = readRowsCache();
+  if (!cached) return null;
+  _sheetCache = cached.rows;
+
+  if (Date.now() - cached.savedAt > DATA_CACHE_MAX_AGE_MS) {
+    revalidateRows().catch((e) => {
+      console.warn(`[AwardHub] Background refresh failed: ${e.message || e}`);
+    });
+  }
+  return _sheetCache;
+}
+
+/**
+ * Fetch all rows (stale-while-revalidate).
+ * - The cache first (getCachedRows()), then the network.
+ * - options.signal: cancels the network load (the background refresh is not tied to it)
+ */
+export async function fetchSheetRows(options = {}) {
+  const cached = getCachedRows();
+  if (cached) return cached;
+
+  const rows = await loadRowsFromSources(options);
+  _sheetCache = rows;
+  writeRowsCache(rows);
+  return rows;
+}
+
+/**
+ * Extract and sort all available years.
+ */
+export function getAvailableYearsFromRows(rows) {
+  const years = new Set();
+  rows.forEach((r) => {
+    const y = Number(r.Year);
+    if (Number.isFinite(y)) years.add(y);
+  });
+  return Array.from(years).sort((a, b) => b - a);
+}
+
+/**
+ * Nominee rows: a row whose Type (or Role) column is "Nominee" lists one nominee
+ * of the award with the same Year + Title instead of being an award itself.
+ * The nominee name is read from Nominee, then Game, then Winner.
+ */
+export function isNomineeRow(r) {
+  return /^nominee$/i.test(String(r.Type || r.Role || "").trim());
+}
+
+export function getNomineeRowName(r) {
+  return String(r.Nominee || r.Game || r.Winner || "").trim();
+}
+
+/**
+ * Nominee names stored on an award row. Supported layouts:
+ * - Nominees: array, or one cell separated by ";", "|" or new lines
+ * - Nominee 1, Nominee 2, ... (also "Nominee1" / "Nominee_1")
+ */
+export function readNomineeColumns(r) {
+  const names = [];
+
+  const list = r.Nominees;
+  if (Array.isArray(list)) names.push(...list);
+  else if (list) names.push(...String(list).split(/[;|\n]/));
+
+  Object.keys(r)
+    .filter((k) => /^nominee[\s_]*\d+$/i.test(k))
+    .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]))
+    .forEach((k) => names.push(r[k]));
+
+  return names.map((n) => String(n || "").trim()).filter(Boolean);
+}
+
+/**
+ * Icon of a game in a year's awards: its img/<year>/ file, else the Steam header capsule
+ * (same 460x215 format) when the app ID is known, else the placeholder.
+ * - options.steam: resolveSteamLinks() of the game (default: looked up by name)
+ * - options.knownSlugs: winner slugs, so a sequel's image is not taken (resolveGameImage)
+ */
+export function resolveGameIconUrl(year, gameName, options = {}) {
+  const steam = options.steam || resolveSteamLinks(gameName);
+  const iconUrl = buildGameImageUrl(year, gameName, IMAGE_MANIFEST, options.knownSlugs);
+  return iconUrl === PLACEHOLDER_URL && steam.capsuleUrl ? steam.capsuleUrl : iconUrl;
+}
+
+/**
+ * Slugs of every winner in the rows (all years).
+ */
+function collectWinnerSlugs(rows) {
+  return new Set(rows.filter((r) => !isNomineeRow(r)).map((r) => slugifyGameName(r.Winner)));
+}
+
+/**
+ * Nominee objects for the UI (icons resolved like winners), winner and duplicates removed.
+ * - knownSlugs: see resolveGameIconUrl()
+ */
+export function buildNominees(year, names, winnerName, knownSlugs = []) {
+  const seen = new Set([slugifyGameName(winnerName)]);
+  const out = [];
+  names.forEach((name) => {
+    const slug = slugifyGameName(name);
+    if (!slug || seen.has(slug)) return;
+    seen.add(slug);
+    out.push({
+      game_name: name,
+      icon_url: resolveGameIconUrl(year, name, { knownSlugs })
+    });
+  });
+  return out;
+}
+
+/**
+ * Convert flat sheet rows into the UI structure for a single year.
+ * Nominees come from nominee columns on the award row and/or linked nominee rows.
+ */
+export function buildYearDataFromRows(year, rows) {
+  const yearRows = rows.filter((r) => Number(r.Year) === Number(year));
+  const knownSlugs = collectWinnerSlugs(rows);
+
+  // Linked nominee rows, grouped by canonical award ID.
+  const linkedNominees = new Map();
+  yearRows.filter(isNomineeRow).forEach((r) => {
+    const awardId = resolveAwardCategory(r.Title).id;
+    if (!linkedNominees.has(awardId)) linkedNominees.set(awardId, []);
+    linkedNominees.get(awardId).push(getNomineeRowName(r));
+  });
+
+  const awards = yearRows
+    .filter((r) => !isNomineeRow(r))
+    .map((r, idx) => {
+      const awardTitle = String(r.Title || "").trim() || `Award ${idx + 1}`;
+      const winnerName = String(r.Winner || "").trim() || "Unknown Game";
+      const category = resolveAwardCategory(awardTitle);
+      const steam = resolveSteamLinks(winnerName, r.SteamAppId);
+
+      return {
+        award_id: category.id,
+        award_name: category.name,
+        award_description: category.description,
+
+        winner: {
+          game_name: winnerName,
+          icon_url: resolveGameIconUrl(year, winnerName, { steam, knownSlugs }),
+
+          // Blog post (AwardHub article): BlogUrl column, else the post index
+          blogger_url: resolveBlogUrl(winnerName, year, r.BlogUrl),
+
+          // Steam app (SteamAppId column, else data/steam_app_ids.json)
+          steam_app_id: steam.appId,
+          steam_url: steam.storeUrl,
+          steam_hub_url: steam.hubUrl
+        },
+
+        nominees: buildNominees(
+          year,
+          [...readNomineeColumns(r), ...(linkedNominees.get(category.id) || [])],
+          winnerName,
+          knownSlugs
+        )
+      };
+    });
+
+  // De-duplicate defensively
+  const seen = new Set();
+  const deduped = [];
+  for (const a of awards) {
+    const key = `${year}__${a.award_id}__${a.winner.game_name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    deduped.push(a);
+  }
+
+  return {
+    year,
+    source: "Steam Awards Official Announcement Page",
+    awards: deduped
+  };
+}
+
+/**
+ * Fetch computed year data (options: see fetchSheetRows()).
+ */
+export async function fetchYearData(year, options = {}) {
+  const rows = await fetchSheetRows(options);
+  return buildYearDataFromRows(year, rows);
+}
+
+/**
+ * Winners of one award category over time (oldest year first).
+ * Renamed categories share one canonical ID, so their history is complete.
+ * Returns: [{ year, award }, ...]
+ */
+export function collectCategoryHistoryFromRows(categoryId, rows) {
+  const out = [];
+  getAvailableYearsFromRows(rows)
+    .slice()
+    .reverse()
+    .forEach((year) => {
+      buildYearDataFromRows(year, rows).awards.forEach((award) => {
+        if (award.award_id === categoryId) {
+          out.push({ year, award });
+        }
+      });
+    });
+  return out;
+}
+
+/**
+ * Award categories of several years side by side.
+ * - years: in column order
+ * Categories follow the newest year's order, then the ones only older years have.
+ * Returns: [{ award_id, award_name, awards: [award or null, one per year], years: [years awarded] }]
+ */
+export function compareYearsFromRows(years, rows) {
+  const awardsByYear = years.map((year) => buildYearDataFromRows(year, rows).awards);
+  const newestFirst = years
+    .map((year, i) => ({ year, i }))
+    .sort((a, b) => b.year - a.year);
+
+  const order = [];
+  const names = new Map();
+  newestFirst.forEach(({ i }) => {
+    awardsByYear[i].forEach((award) => {
+      if (names.has(award.award_id)) return;
+      names.set(award.award_id, award.award_name);
+      order.push(award.award_id);
+    });
+  });
+
+  return order.map((id) => {
+    const awards = awardsByYear.map((list) => list.find((a) => a.award_id === id) || null);
+    return {
+      award_id: id,
+      award_name: names.get(id),
+      awards,
+      years: years.filter((_, i) => awards[i])
+    };
+  });
+}
+
+/**
+ * Every award a game has won, across all years (newest year first).
+ * Games are matched by slug, so "Sekiro™" and "Sekiro" count as the same title.
+ * Returns: [{ year, award }, ...]
+ */
+export function collectGameAwardsFromRows(slug, rows) {
+  const out = [];
+  getAvailableYearsFromRows(rows).forEach((year) => {
+    buildYearDataFromRows(year, rows).awards.forEach((award) => {
+      if (slugifyGameName(award?.winner?.game_name) === slug) {
+        out.push({ year, award });
+      }
+    });
+  });
+  return out;
+}
@@ -0,0 +1,140 @@
+/* AwardHub - #app mounting, hydration of prerendered markup, loading / error states */
+
+/* ============================================================================
+   DOM helpers
+   ============================================================================ */
+
+/**
+ * Always retrieve #app lazily.
+ * Why:
+ * - On GitHub Pages fallback pages, DOM timing can vary.
+ * - Throwing early helps identify incorrect HTML templates.
+ */
+export function getAppEl() {
+  const el = document.getElementById("app");
+  if (!el) throw new Error('Missing #app element in index.html');
+  return el;
+}
+
+/**
+ * Prerendered markup (tools/prerender.js) is hydrated instead of replaced:
+ * - #app carries data-prerendered="<path>" when the page was built ahead of time.
+ * - Until the first view is rendered, loading / error states keep that markup.
+ * - The first render reuses the existing DOM when its markup is identical, so only
+ *   event listeners are attached (no flash, images are not reloaded).
+ */
+let _hydrating = false;
+
+export function startHydration() {
+  const app = getAppEl();
+  _hydrating = app.getAttribute("data-prerendered") === location.pathname;
+  app.removeAttribute("data-prerendered");
+}
+
+/**
+ * Replace the content of #app (or keep it when hydrating identical markup).
+ * Focus inside #app survives the swap when the new markup has an element with
+ * the same id (see captureFocus).
+ */
+export function setAppHtml(html) {
+  const app = getAppEl();
+  if (_hydrating) {
+    _hydrating = false;
+
+    // Serialize through the same parser so formatting differences do not count.
+    const tpl = document.createElement("template");
+    tpl.innerHTML = html;
+    if (tpl.innerHTML === app.innerHTML) return;
+  }
+  const focus = captureFocus(app);
+  app.innerHTML = html;
+  restoreFocus(focus);
+}
+
+/**
+ * Remember the focused element inside `root` by id, with the caret / selection
+ * of text inputs. Elements without an id are not tracked.
+ */
+function captureFocus(root) {
+  const el = document.activeElement;
+  if (!el || !el.id || el === root || !root.contains(el)) return null;
+
+  let selection = null;
+  try {
+    if (typeof el.selectionStart === "number") selection = [el.selectionStart, el.selectionEnd];
+  } catch {
+    // Inputs without a text selection (checkbox, ...) throw on access.
+  }
+  return { id: el.id, selection };
+}
+
+function restoreFocus(focus) {
+  if (!focus) return;
+  const el = document.getElementById(focus.id);
+  if (!el) return;
+
+  el.focus({ preventScroll: true });
+  if (focus.selection && typeof el.setSelectionRange === "function") {
+    try {
+      el.setSelectionRange(focus.selection[0], focus.selection[1]);
+    } catch {
+      // Value shorter than the old selection: leave the caret where focus() put it.
+    }
+  }
+}
+
+/**
+ * Screen reader announcement through the polite live region in index.html
+ * (#liveAnnouncer, outside #app so it survives re-renders).
+ */
+export function announce(message) {
+  const region = document.getElementById("liveAnnouncer");
+  if (region) region.textContent = String(message || "");
+}
+
+/**
+ * Sync footer year display.
+ * Safe to call any time (no-op if #yearNow missing).
+ */
+export function syncYearNow() {
+  const YEAR_NOW = document.getElementById("yearNow");
+  if (YEAR_NOW) YEAR_NOW.textContent = String(new Date().getFullYear());
+}
+
+/**
+ * Escape string for safe HTML insertion (prevents HTML injection).
+ * Must be used for ANY external content (sheet rows, etc).
+ */
+export function escapeHtml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+/* ============================================================================
+   Loading / error states
+   ============================================================================ */
+
+/**
+ * Loading state.
+ */
+export function setLoading() {
+  if (_hydrating) return;
+  getAppEl().innerHTML = `<div class="notice">Loading…</div>`;
+}
+
+/**
+ * Error state.
+ * While hydrating, the prerendered page is still valid content: keep it.
+ */
+export function setError(msg) {
+  if (_hydrating) {
+    _hydrating = false;
+    console.warn(`[AwardHub] Keeping prerendered page: ${msg}`);
+    return;
+  }
+  setAppHtml(`<div class="notice">❌ ${escapeHtml(msg)}</div>`);
+}
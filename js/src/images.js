@@ -0,0 +1,99 @@
+/* AwardHub - game icons
+ *
+ * - Icon URLs resolve through the build-time image manifest.
+ * - Icons render as <picture> with AVIF / WebP srcsets when variants exist.
+ * - A broken image falls back to the placeholder (wireImageFallback).
+ */
+
+import AwardHubImages from "../shared/images.js";
+import { escapeHtml } from "./dom.js";
+
+const {
+  PLACEHOLDER_URL,
+  RESPONSIVE_FORMATS,
+  getManifestEntry,
+  buildImageVariantPath
+} = AwardHubImages;
+
+/**
+ * Image manifest (year -> slug -> format -> size), see tools/image_manifest.js.
+ * - webpack replaces __AWARDHUB_IMAGE_MANIFEST__ with the scan of img/ at build time.
+ * - Imported outside webpack (Node tests) there is none, and icon URLs fall back to the
+ *   plain WebP guess (tools/prerender.js defines it as a global).
+ */
+export const IMAGE_MANIFEST =
+  typeof __AWARDHUB_IMAGE_MANIFEST__ !== "undefined" ? __AWARDHUB_IMAGE_MANIFEST__ : null;
+
+/**
+ * Rendered width of each icon context, for the srcset "sizes" attribute.
+ * Keep in sync with css/style.css (.featured__media spans ~640px of the 1100px container
+ * on wide screens and the full card width below the 900px breakpoint).
+ */
+export const IMAGE_SIZES = {
+  featured__img: "(max-width: 900px) calc(100vw - 96px), 640px",
+  awardChip__img: "54px",
+  gameCard__img: "52px",
+  compareCell__img: "40px",
+  nominee__img: "32px"
+};
+
+/**
+ * Render a game icon.
+ * The URL already points at a file that exists (image manifest), so there is no
+ * extension probing here. When the build produced resized variants the icon becomes
+ * a <picture> with AVIF / WebP srcsets sized for its context; width / height come from
+ * the manifest so the layout does not shift while images load.
+ * Images that still fail to load are swapped for the placeholder by wireImageFallback
+ * (no inline handlers, CSP friendly).
+ */
+export function imgWithFallback(url, className = "gameCard__img") {
+  const src = url || PLACEHOLDER_URL;
+  const entry = getManifestEntry(IMAGE_MANIFEST, src);
+  const size = entry && entry.width && entry.height ? ` width="${entry.width}" height="${entry.height}"` : "";
+
+  const img = `<img class="${escapeHtml(className)}"
+         src="${escapeHtml(src)}"${size}
+         alt=""
+         loading="lazy"
+         data-fallback="${escapeHtml(PLACEHOLDER_URL)}" />`;
+
+  const variants = (entry && entry.variants) || {};
+  const sources = RESPONSIVE_FORMATS.filter((format) => (variants[format] || []).length).map((format) => {
+    const srcset = variants[format].map((w) => `${buildImageVariantPath(src, w, format)} ${w}w`).join(", ");
+    return `<source type="image/${format}"
+              srcset="${escapeHtml(srcset)}"
+              sizes="${escapeHtml(IMAGE_SIZES[className] || "100vw")}" />`;
+  });
+
+  if (!sources.length) return img;
+  return `
+    <picture class="picture">
+      ${sources.join("\n      ")}
+      ${img}
+    </picture>
+  `;
+}
+
+/**
+ * One capturing "error" listener for every icon rendered by imgWithFallback
+ * (error events do not bubble, so it has to be the capture phase).
+ */
+export function wireImageFallback() {
+  document.addEventListener(
+    "error",
+    (e) => {
+      const img = e.target;
+      if (!(img instanceof HTMLImageElement) || !img.dataset.fallback) return;
+
+      const fallback = img.dataset.fallback;
+      delete img.dataset.fallback; // one attempt only, even if the placeholder fails too
+
+      // <source> candidates win over img.src, so drop them first.
+      if (img.parentElement && img.parentElement.tagName === "PICTURE") {
+        img.parentElement.querySelectorAll("source").forEach((el) => el.remove());
+      }
+      img.src = fallback;
+    },
+    true
+  );
+}
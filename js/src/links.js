@@ -0,0 +1,174 @@
+/* AwardHub - URL rules
+ *
+ * - Parsing the current path into route parts.
+ * - Building internal URLs (year, award permalink, category, game, search, compare).
+ * - External links (blog, Steam). Store buttons are built in providers.js.
+ *
+ * Pure functions apart from parsePathRoute(), which reads location.
+ */
+
+import AwardHubImages from "../shared/images.js";
+import AwardHubBlog from "../shared/blog.js";
+import AwardHubSteam from "../shared/steam.js";
+
+const { slugifyGameName } = AwardHubImages;
+const { buildBlogPostUrl, resolveBlogPostUrl } = AwardHubBlog;
+const { resolveSteamAppId, buildSteamLinks } = AwardHubSteam;
+
+/* ============================================================================
+   URL parsing
+   ============================================================================ */
+
+/**
+ * Normalize a path:
+ * - Ensure it starts with "/"
+ * - Remove trailing slashes
+ * - Return "/" for empty values
+ */
+export function normalizePath(p) {
+  if (!p) return "/";
+  let x = p.startsWith("/") ? p : "/" + p;
+  x = x.replace(/\/+$/, "");
+  return x === "" ? "/" : x;
+}
+
+/**
+ * Parse current URL pathname into route parts.
+ * Example:
+ *   "/steamawards/2024/" => ["steamawards","2024"]
+ */
+export function parsePathRoute() {
+  const path = normalizePath(location.pathname);
+  return path.split("/").filter(Boolean);
+}
+
+/**
+ * Decode one URL path segment (e.g. an award ID from a permalink).
+ * Malformed escapes are returned as-is instead of throwing.
+ */
+export function decodePathSegment(seg) {
+  try {
+    return decodeURIComponent(seg || "");
+  } catch {
+    return seg || "";
+  }
+}
+
+/* ============================================================================
+   Internal URLs
+   ============================================================================ */
+
+/**
+ * Canonical URLs for year pages and award permalinks.
+ * Example:
+ *   buildAwardUrl(2024, "bestsoundtrack") => "/steamawards/2024/bestsoundtrack/"
+ */
+export function buildYearUrl(year) {
+  return `/steamawards/${year}/`;
+}
+
+export function buildAwardUrl(year, awardId) {
+  if (!awardId) return buildYearUrl(year);
+  return `/steamawards/${year}/${encodeURIComponent(awardId)}/`;
+}
+
+/**
+ * Award category history URL.
+ * Example:
+ *   buildAwardCategoryUrl("best_soundtrack") => "/steamawards/award/best_soundtrack/"
+ */
+export function buildAwardCategoryUrl(awardId) {
+  return awardId ? `/steamawards/award/${encodeURIComponent(awardId)}/` : "";
+}
+
+/**
+ * Cross-year search results URL.
+ * Example:
+ *   buildSearchUrl("elden ring") => "/steamawards/search/?q=elden%20ring"
+ */
+export function buildSearchUrl(query) {
+  const q = String(query || "").trim();
+  return q ? `/steamawards/search/?q=${encodeURIComponent(q)}` : "/steamawards/search/";
+}
+
+/**
+ * Years of the compare page from its ?years= value: unique, oldest first.
+ * Example:
+ *   parseCompareYears("2024,2022, 2024,x") => [2022, 2024]
+ */
+export function parseCompareYears(value) {
+  const years = String(value || "")
+    .split(/[\s,+]+/)
+    .filter((s) => /^\d{4}$/.test(s))
+    .map(Number);
+  return Array.from(new Set(years)).sort((a, b) => a - b);
+}
+
+/**
+ * Year comparison URL (years in canonical order).
+ * Example:
+ *   buildCompareUrl([2024, 2022]) => "/steamawards/compare/?years=2022,2024"
+ */
+export function buildCompareUrl(years) {
+  const list = parseCompareYears((years || []).join(","));
+  return list.length ? `/steamawards/compare/?years=${list.join(",")}` : "/steamawards/compare/";
+}
+
+/**
+ * Game detail page URL (slug rules shared with image file names).
+ * Example:
+ *   buildGameUrl("Red Dead Redemption 2") => "/steamawards/game/red_dead_redemption_2/"
+ */
+export function buildGameUrl(gameName) {
+  const slug = slugifyGameName(gameName);
+  return slug ? `/steamawards/game/${slug}/` : "";
+}
+
+/* ============================================================================
+   External links
+   ============================================================================ */
+
+export const BLOG_BASE_URL = AwardHubBlog.BLOG_BASE_URL;
+
+/**
+ * Published blog posts (year -> slug -> URL), see tools/blog_posts.js.
+ * - webpack replaces __AWARDHUB_BLOG_INDEX__ with data/blog_posts.json at build time.
+ * - Imported outside webpack (Node tests) there is none, and every winner gets the
+ *   conventional post URL (buildBlogUrl).
+ */
+export const BLOG_POST_INDEX =
+  typeof __AWARDHUB_BLOG_INDEX__ !== "undefined" ? __AWARDHUB_BLOG_INDEX__ : null;
+
+/**
+ * Conventional post URL for a winner.
+ * Example:
+ *   buildBlogUrl("Black Myth: Wukong", 2024)
+ *     => "https://blog.awardhub.net/steamawards/2024/black_myth_wukong/"
+ */
+export function buildBlogUrl(gameName, year) {
+  return buildBlogPostUrl(year, slugifyGameName(gameName));
+}
+
+/**
+ * "Read Post" link for a winner, "" when there is no article (disabled button).
+ * - explicitUrl: BlogUrl column of the sheet row, wins over the index
+ */
+export function resolveBlogUrl(gameName, year, explicitUrl = "", index = BLOG_POST_INDEX) {
+  return resolveBlogPostUrl(year, slugifyGameName(gameName), { url: explicitUrl, index });
+}
+
+/**
+ * Steam app IDs keyed by game slug (data/steam_app_ids.json, see tools/steam_app_ids.js).
+ * - webpack replaces __AWARDHUB_STEAM_APP_IDS__ with the table at build time.
+ * - Imported outside webpack (Node tests) there is none: only explicit IDs resolve.
+ */
+export const STEAM_APP_IDS =
+  typeof __AWARDHUB_STEAM_APP_IDS__ !== "undefined" ? __AWARDHUB_STEAM_APP_IDS__ : null;
+
+/**
+ * Steam store, community hub and capsule URLs for a game (all "" when its app ID is unknown).
+ * - explicitId: SteamAppId column of the sheet row (ID or store URL), wins over the table
+ */
+export function resolveSteamLinks(gameName, explicitId = "", table = STEAM_APP_IDS) {
+  return buildSteamLinks(resolveSteamAppId(slugifyGameName(gameName), { id: explicitId, table }));
+}
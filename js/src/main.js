@@ -0,0 +1,181 @@
+/* AwardHub - minimal HTML5 SPA (History API router)
+ *
+ * Key design:
+ * - Static site (GitHub Pages compatible) + client-side routing (History API).
+ * - Data is loaded live from Google Sheet via Apps Script JSON API,
+ *   falling back to the bundled data/steam_awards_<year>.json files.
+ * - Rows are cached in localStorage and revalidated in the background (stale-while-revalidate).
+ * - UI is rendered with vanilla JS (no framework).
+ * - Game icon URLs are derived from "year + winner game name" -> slug -> file path.
+ * - Icons resolve through the build-time image manifest; a broken image falls back to the placeholder.
+ *
+ * Modules (js/src/, bundled by webpack; this file is the entry):
+ * - dom.js       #app mounting, hydration, loading / error states
+ * - links.js     URL parsing and building (pure)
+ * - providers.js store link providers and the visitor's market
+ * - analytics.js click analytics (sinks, Do-Not-Track, opt-out)
+ * - data.js      data sources, cache, row -> UI transforms
+ * - images.js    game icons (<picture>, manifest, fallback)
+ * - search.js    search matching
+ * - meta.js      page metadata
+ * - carousel.js  award carousel
+ * - views.js     page renderers
+ * - routes.js    route table (path pattern -> loader -> view)
+ * - router.js    History API navigation, route matching, route()
+ * - js/shared/*.js: rules shared with the Node tools (slugs, images, categories)
+ *
+ * IMPORTANT:
+ * - History routing requires server fallback (GitHub Pages 404.html -> index.html).
+ * - Use absolute paths (/steamawards/..., /img/...) to avoid path issues under nested routes.
+ *
+ * Stability fixes included:
+ * - Prevent "first visit blank screen" caused by redirect race with 404 fallback restore.
+ * - Prevent "carousel long replay animation" when clicking far-away chips.
+ */
+
+import { startHydration } from "./dom.js";
+import { parsePathRoute } from "./links.js";
+import { DATA_UPDATED_EVENT, revalidateRows } from "./data.js";
+import { wireImageFallback } from "./images.js";
+import { getMarketOptions, readMarketOverride, writeMarketOverride } from "./providers.js";
+import { hasAnalyticsSink, isDoNotTrack, isOptedOut, setOptedOut, wireOutboundClicks } from "./analytics.js";
+import { route, refreshView, wireScrollRestoration, wireGlobalSearch, onLinkClick, onPopState } from "./router.js";
+
+/* ============================================================================
+   Data refresh (background revalidation + manual control)
+   ============================================================================ */
+
+/**
+ * Re-render the current view in place (refreshView()) only when refreshed rows affect it:
+ * - Home: when the list of years changed.
+ * - Game, award history, search and compare pages: when any year changed (they span all years).
+ * - Year page: when that year's rows changed.
+ */
+function onDataUpdated(e) {
+  const { years = [], yearsChanged = false } = e.detail || {};
+  const parts = parsePathRoute();
+
+  if (parts[0] !== "steamawards") return;
+
+  if (parts.length === 1) {
+    if (yearsChanged) refreshView();
+    return;
+  }
+
+  if (["game", "award", "search", "compare"].includes(parts[1])) {
+    if (years.length) refreshView();
+    return;
+  }
+
+  if (years.includes(Number(parts[1]))) refreshView();
+}
+
+/**
+ * "Refresh data" button in the top bar:
+ * - Forces a revalidation regardless of cache age.
+ * - Shows short inline feedback; changed data re-renders via DATA_UPDATED_EVENT.
+ */
+function wireRefreshButton() {
+  const btn = document.getElementById("refreshData");
+  if (!btn) return;
+
+  const label = btn.textContent;
+
+  btn.addEventListener("click", async () => {
+    btn.disabled = true;
+    btn.textContent = "Refreshing…";
+    btn.removeAttribute("title");
+
+    try {
+      const diff = await revalidateRows();
+      btn.textContent = diff.years.length ? "Updated" : "Up to date";
+    } catch (e) {
+      btn.textContent = "Refresh failed";
+      btn.title = e.message || String(e);
+    }
+
+    setTimeout(() => {
+      btn.textContent = label;
+      btn.disabled = false;
+    }, 1500);
+  });
+}
+
+/**
+ * "Store region" picker in the footer:
+ * - Lists the markets of data/link_providers.json; "Automatic" follows the browser locale.
+ * - A choice is remembered and re-renders the current view with the new store links.
+ * - Hidden when no provider has markets.
+ */
+function wireStoreRegion() {
+  const select = document.getElementById("storeRegion");
+  if (!select) return;
+
+  const markets = getMarketOptions();
+  if (markets.length === 0) return;
+
+  markets.forEach(({ id, label }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    select.append(option);
+  });
+  select.value = markets.some((m) => m.id === readMarketOverride()) ? readMarketOverride() : "";
+  select.closest(".footer__region").hidden = false;
+
+  select.addEventListener("change", () => {
+    writeMarketOverride(select.value);
+    route();
+  });
+}
+
+/**
+ * "Anonymous click stats" checkbox in the footer (opt-out):
+ * - Hidden when this build has no analytics sink.
+ * - Unchecked and disabled under Do-Not-Track, which always wins.
+ */
+function wireAnalyticsToggle() {
+  const toggle = document.getElementById("analyticsToggle");
+  if (!toggle || !hasAnalyticsSink()) return;
+
+  const label = toggle.closest(".footer__toggle");
+  label.hidden = false;
+
+  if (isDoNotTrack()) {
+    toggle.checked = false;
+    toggle.disabled = true;
+    label.title = "Off: your browser asks sites not to track you (Do Not Track)";
+    return;
+  }
+
+  toggle.checked = !isOptedOut();
+  toggle.addEventListener("change", () => {
+    setOptedOut(!toggle.checked);
+  });
+}
+
+/* ============================================================================
+   Startup
+   ============================================================================ */
+
+window.addEventListener(DATA_UPDATED_EVENT, onDataUpdated);
+
+document.addEventListener("click", onLinkClick);
+
+window.addEventListener("popstate", onPopState);
+
+/**
+ * DOMContentLoaded is enough because HtmlWebpackPlugin injects the bundle with defer.
+ * This guarantees #app exists before route() runs.
+ */
+window.addEventListener("DOMContentLoaded", () => {
+  startHydration();
+  wireScrollRestoration();
+  wireImageFallback();
+  wireRefreshButton();
+  wireStoreRegion();
+  wireAnalyticsToggle();
+  wireOutboundClicks();
+  wireGlobalSearch();
+  route();
+});
@@ -0,0 +1,113 @@
+/* AwardHub - page metadata (title, description, Open Graph, JSON-LD) */
+
+import { escapeHtml } from "./dom.js";
+import { buildGameUrl } from "./links.js";
+
+export const SITE_NAME = "AwardHub";
+
+export const SITE_ORIGIN = "https://games.awardhub.net";
+
+export const DEFAULT_PAGE_DESCRIPTION =
+  "AwardHub showcases Steam Game Awards by year, including winners with game icons and external links.";
+
+/**
+ * Metadata of the page on screen (read by tools/prerender.js after each route).
+ */
+let _pageMeta = null;
+
+export function getPageMeta() {
+  return _pageMeta;
+}
+
+export function clearPageMeta() {
+  _pageMeta = null;
+}
+
+/**
+ * Normalize page metadata:
+ * - title: page title without the site name (empty = home)
+ * - path: canonical path ("/steamawards/2024/")
+ * - image: icon URL for link previews (site-relative, or absolute for Steam capsules)
+ * - jsonLd: schema.org object (optional)
+ * - noindex: search results and "not found" pages
+ */
+export function buildPageMeta({ title = "", description = "", path = "", image = "", jsonLd = null, noindex = false } = {}) {
+  return {
+    title: title ? `${title} | ${SITE_NAME}` : `${SITE_NAME} - Steam Game Awards`,
+    description: String(description || DEFAULT_PAGE_DESCRIPTION).replace(/\s+/g, " ").trim(),
+    url: SITE_ORIGIN + (path || "/steamawards/"),
+    image: /^https?:\/\//.test(image) ? image : SITE_ORIGIN + (image || "/icon.png"),
+    jsonLd,
+    noindex
+  };
+}
+
+/**
+ * <head> tags for a page. Every tag carries data-page-meta so the client and the
+ * prerender step can swap the whole set (the <title> is handled separately).
+ */
+export function renderPageMetaTags(meta) {
+  const tag = (attr, key, value) => `<meta ${attr}="${key}" content="${escapeHtml(value)}" data-page-meta />`;
+  const tags = [
+    tag("name", "description", meta.description),
+    `<link rel="canonical" href="${escapeHtml(meta.url)}" data-page-meta />`,
+    tag("property", "og:type", "website"),
+    tag("property", "og:site_name", SITE_NAME),
+    tag("property", "og:title", meta.title),
+    tag("property", "og:description", meta.description),
+    tag("property", "og:url", meta.url),
+    tag("property", "og:image", meta.image),
+    tag("name", "twitter:card", "summary_large_image")
+  ];
+  if (meta.noindex) tags.push(tag("name", "robots", "noindex"));
+  if (meta.jsonLd) {
+    // "<" is escaped so award names can never close the script element.
+    const json = JSON.stringify(meta.jsonLd).replace(/</g, "\\u003c");
+    tags.push(`<script type="application/ld+json" data-page-meta>${json}</script>`);
+  }
+  return tags.join("\n  ");
+}
+
+/**
+ * Set the document title and replace the data-page-meta tags in <head>.
+ */
+export function applyPageMeta(fields) {
+  const meta = buildPageMeta(fields);
+  _pageMeta = meta;
+
+  document.title = meta.title;
+  if (!document.head || typeof document.head.querySelectorAll !== "function") return;
+
+  document.head.querySelectorAll("[data-page-meta]").forEach((el) => el.remove());
+  document.head.insertAdjacentHTML("beforeend", renderPageMetaTags(meta));
+}
+
+/**
+ * schema.org ItemList of award winners.
+ * - entries: [{ name, award }] where award is a UI award object
+ */
+export function buildAwardListJsonLd(name, path, entries) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "ItemList",
+    name,
+    url: SITE_ORIGIN + path,
+    itemListElement: entries.map((entry, i) => ({
+      "@type": "ListItem",
+      position: i + 1,
+      name: entry.name,
+      item: {
+        "@type": "VideoGame",
+        name: entry.award?.winner?.game_name || "",
+        url: SITE_ORIGIN + buildGameUrl(entry.award?.winner?.game_name)
+      }
+    }))
+  };
+}
+
+/**
+ * Metadata for "not found" style pages.
+ */
+export function applyNotFoundMeta(title) {
+  applyPageMeta({ title, description: `${title}.`, path: location.pathname, noindex: true });
+}
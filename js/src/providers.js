@@ -0,0 +1,90 @@
+/* AwardHub - store link providers
+ *
+ * - The provider list baked in from data/link_providers.json (see tools/link_providers.js).
+ * - The visitor's market: a choice stored in localStorage, else the browser locale.
+ * - Store links for a winner (rules in js/shared/providers.js).
+ */
+
+import AwardHubImages from "../shared/images.js";
+import AwardHubProviders from "../shared/providers.js";
+
+const { slugifyGameName } = AwardHubImages;
+const { buildProviderLinks, listMarkets } = AwardHubProviders;
+
+/**
+ * Configured providers, in button order.
+ * - webpack replaces __AWARDHUB_LINK_PROVIDERS__ with data/link_providers.json at build time.
+ * - Imported outside webpack (Node tests) there are none, so no store buttons are rendered.
+ */
+export const LINK_PROVIDERS =
+  typeof __AWARDHUB_LINK_PROVIDERS__ !== "undefined" ? __AWARDHUB_LINK_PROVIDERS__ : [];
+
+export const MARKET_STORAGE_KEY = "awardhub:market";
+
+/* ============================================================================
+   Visitor market
+   ============================================================================ */
+
+/**
+ * Preferred locales, most preferred first ([] outside a browser).
+ */
+export function getPreferredLocales() {
+  if (typeof navigator === "undefined" || !navigator) return [];
+  if (Array.isArray(navigator.languages) && navigator.languages.length) return [...navigator.languages];
+  return navigator.language ? [navigator.language] : [];
+}
+
+/**
+ * Market the visitor picked ("" = automatic). Unavailable storage counts as no choice.
+ */
+export function readMarketOverride() {
+  try {
+    return localStorage.getItem(MARKET_STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Remember a market; "" goes back to the browser locale.
+ */
+export function writeMarketOverride(market) {
+  try {
+    if (market) localStorage.setItem(MARKET_STORAGE_KEY, market);
+    else localStorage.removeItem(MARKET_STORAGE_KEY);
+  } catch (e) {
+    console.warn(`[AwardHub] Could not save store region: ${e.message || e}`);
+  }
+}
+
+/**
+ * Markets the region picker offers: [{ id, label }].
+ */
+export function getMarketOptions(providers = LINK_PROVIDERS) {
+  return listMarkets(providers);
+}
+
+/* ============================================================================
+   Store links
+   ============================================================================ */
+
+/**
+ * One link per provider for a winner: [{ id, label, style, market, url }].
+ * - options.locales / options.market default to the browser locale and the stored choice
+ */
+export function buildStoreLinks(winner, options = {}, providers = LINK_PROVIDERS) {
+  const name = String(winner?.game_name || "").trim();
+  return buildProviderLinks(
+    providers,
+    {
+      name,
+      slug: slugifyGameName(name),
+      steamAppId: winner?.steam_app_id || "",
+      steamUrl: winner?.steam_url || ""
+    },
+    {
+      locales: options.locales || getPreferredLocales(),
+      market: options.market ?? readMarketOverride()
+    }
+  );
+}
@@ -0,0 +1,365 @@
+/* AwardHub - History API router
+ *
+ * route() renders the current URL through the route table (routes.js):
+ * match -> load (abortable, loading / error states) -> view -> scroll.
+ * A newer navigation aborts the one in flight, so a superseded page never paints.
+ *
+ * History routing requires server fallback (GitHub Pages 404.html -> index.html).
+ */
+
+import { setLoading, setError, syncYearNow } from "./dom.js";
+import { normalizePath, parsePathRoute, decodePathSegment, buildSearchUrl } from "./links.js";
+import { getActiveYearPage, clearActiveYearPage, syncGlobalSearchInput } from "./views.js";
+import { ROUTES, NOT_FOUND_ROUTE } from "./routes.js";
+
+/* ============================================================================
+   Root auto redirect (safe with 404 restore)
+   ============================================================================ */
+
+/**
+ * Redirect "/" -> "/steamawards/" when the user is truly at root.
+ *
+ * Deep links:
+ * - 404.html redirects "/steamawards/2018/" to "/#/steamawards/2018/".
+ * - The inline script in index.html's <head> restores the real path synchronously,
+ *   before this deferred script runs. By the time we get here a restored deep link
+ *   is no longer at root, so this rewrite can never clobber it.
+ *
+ * IMPORTANT:
+ * - We do NOT use location.replace() here to avoid triggering another full navigation.
+ * - We just rewrite the URL and let route() render the correct view.
+ * - Query string and fragment are kept (e.g. "/?source=static").
+ */
+export function safeRewriteRootToSteamAwards() {
+  const path = (location.pathname || "").replace(/\/+$/, "");
+  const isRoot = path === "" || path === "/" || path === "/index.html";
+
+  if (isRoot) {
+    history.replaceState({ ...history.state }, "", "/steamawards/" + location.search + location.hash);
+  }
+}
+
+/* ============================================================================
+   Route matching
+   ============================================================================ */
+
+/**
+ * Param types for ":name<type>" segments: parse a decoded segment, or return
+ * undefined when it does not match (the route is skipped).
+ */
+const PARAM_TYPES = {
+  int: (s) => (/^\d+$/.test(s) ? Number(s) : undefined)
+};
+
+const _compiledPatterns = new Map();
+
+/**
+ * "/steamawards/:year<int>/:awardId?/" -> [{ literal }, { name, type, optional }, ...]
+ */
+function compilePattern(pattern) {
+  if (_compiledPatterns.has(pattern)) return _compiledPatterns.get(pattern);
+
+  const segments = pattern
+    .split("/")
+    .filter(Boolean)
+    .map((seg) => {
+      const m = seg.match(/^:(\w+)(?:<(\w+)>)?(\?)?$/);
+      if (!m) return { literal: seg };
+      if (m[2] && !PARAM_TYPES[m[2]]) throw new Error(`Unknown param type "${m[2]}" in ${pattern}`);
+      return { name: m[1], type: m[2] || "", optional: Boolean(m[3]) };
+    });
+
+  _compiledPatterns.set(pattern, segments);
+  return segments;
+}
+
+/**
+ * Params of a path for one pattern, or null when it does not match.
+ */
+function matchPattern(pattern, parts) {
+  const segments = compilePattern(pattern);
+  const required = segments.filter((seg) => !seg.optional).length;
+  if (parts.length < required || parts.length > segments.length) return null;
+
+  const params = {};
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    if (i >= parts.length) break;
+
+    if (seg.literal !== undefined) {
+      if (parts[i] !== seg.literal) return null;
+      continue;
+    }
+
+    const raw = decodePathSegment(parts[i]);
+    const value = seg.type ? PARAM_TYPES[seg.type](raw) : raw;
+    if (value === undefined) return null;
+    params[seg.name] = value;
+  }
+  return params;
+}
+
+/**
+ * First route of the table matching a path (trailing slashes are optional).
+ * Returns: { route, params } or null
+ */
+export function matchRoute(path, routes = ROUTES) {
+  const parts = normalizePath(path).split("/").filter(Boolean);
+  for (const route of routes) {
+    const params = matchPattern(route.path, parts);
+    if (params) return { route, params };
+  }
+  return null;
+}
+
+/* ============================================================================
+   Navigation (History API)
+   ============================================================================ */
+
+/**
+ * Normalize an internal URL for history:
+ * - Path gets a trailing slash
+ * - Query string and fragment are kept as-is
+ * Example:
+ *   "/steamawards/search?q=elden" => "/steamawards/search/?q=elden"
+ */
+export function buildHistoryUrl(to) {
+  const m = String(to || "").match(/^([^?#]*)(.*)$/);
+  return normalizePath(m[1]).replace(/\/?$/, "/") + m[2];
+}
+
+/**
+ * SPA navigation:
+ * - Push state and render; the new page starts at the top.
+ * - Resolves once the page is painted (or superseded).
+ */
+export function navigate(to) {
+  rememberScrollPosition();
+  history.pushState({ key: createEntryKey() }, "", buildHistoryUrl(to));
+  return route({ scroll: "top" });
+}
+
+/**
+ * SPA replace:
+ * - Replace state without rendering (redirects that should not pollute history).
+ */
+export function replace(to) {
+  history.replaceState({ key: createEntryKey() }, "", buildHistoryUrl(to));
+}
+
+/* ============================================================================
+   Scroll restoration
+   ============================================================================ */
+
+// Scroll position per history entry, keyed by history.state.key.
+const _scrollPositions = new Map();
+let _entryKey = "";
+
+function createEntryKey() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Key of the current history entry (entries pushed by views get one lazily).
+ */
+function getEntryKey() {
+  const state = history.state || {};
+  if (state.key) return state.key;
+
+  const key = createEntryKey();
+  history.replaceState({ ...state, key }, "");
+  return key;
+}
+
+function rememberScrollPosition() {
+  if (_entryKey) _scrollPositions.set(_entryKey, window.scrollY);
+}
+
+/**
+ * - "top": new page
+ * - "restore": back/forward, where the entry was left
+ * - anything else: keep (first load, data refresh)
+ */
+function applyScroll(mode) {
+  if (mode === "top") window.scrollTo(0, 0);
+  else if (mode === "restore") window.scrollTo(0, _scrollPositions.get(_entryKey) || 0);
+}
+
+/**
+ * Back/forward restores scroll positions itself: the browser would jump before
+ * the page is rendered.
+ */
+export function wireScrollRestoration() {
+  if ("scrollRestoration" in history) history.scrollRestoration = "manual";
+}
+
+/**
+ * URL changes made by a view without rendering (award chips, canonical IDs):
+ * - push: a new entry with its own key, so its scroll position is remembered
+ * - otherwise: the current entry keeps its state (and key)
+ */
+export function setViewUrl(url, push = false) {
+  if (push) {
+    rememberScrollPosition();
+    _entryKey = createEntryKey();
+    history.pushState({ key: _entryKey }, "", url);
+  } else {
+    history.replaceState({ ...history.state }, "", url);
+  }
+}
+
+/* ============================================================================
+   Router
+   ============================================================================ */
+
+// Navigation in progress; aborted by the next route().
+let _navigation = null;
+
+/**
+ * Render the current URL.
+ * - Root is rewritten to /steamawards/ first (no reload, no deep-link break).
+ * - options.scroll: see applyScroll().
+ * Resolves once the page is painted, or as soon as a newer route() supersedes it.
+ */
+export async function route(options = {}) {
+  if (_navigation) _navigation.abort();
+  const navigation = new AbortController();
+  _navigation = navigation;
+  const { signal } = navigation;
+
+  syncYearNow();
+  clearActiveYearPage();
+
+  // IMPORTANT: do this before matching.
+  safeRewriteRootToSteamAwards();
+
+  let match = matchRoute(location.pathname);
+  if (match && match.route.redirect) {
+    replace(match.route.redirect + location.search + location.hash);
+    match = matchRoute(location.pathname);
+  }
+  _entryKey = getEntryKey();
+
+  const { route: entry, params } = match || { route: NOT_FOUND_ROUTE, params: {} };
+  const ctx = { params, query: new URLSearchParams(location.search), signal };
+
+  try {
+    // A loader answering from the cache returns the data itself: no loading state.
+    let data = entry.load ? entry.load(ctx) : null;
+    if (isPromise(data)) {
+      setLoading();
+      data = await data;
+      if (signal.aborted) return;
+    }
+
+    syncGlobalSearchInput("");
+    entry.view(ctx, data);
+    applyScroll(options.scroll);
+  } catch (e) {
+    if (!signal.aborted) setError(e.message || String(e));
+  } finally {
+    if (_navigation === navigation) _navigation = null;
+  }
+}
+
+function isPromise(x) {
+  return Boolean(x) && typeof x.then === "function";
+}
+
+/**
+ * Paint the view on screen again from the rows in memory (background refresh):
+ * no loading state, no scroll change and no new history entry; the view keeps what
+ * it can (the year page its filter and selection).
+ * - A navigation in progress renders the new rows itself: nothing to do.
+ * - A loader that has to fetch after all falls back to route().
+ */
+export function refreshView() {
+  if (_navigation) return;
+
+  const match = matchRoute(location.pathname);
+  const { route: entry, params } = match || { route: NOT_FOUND_ROUTE, params: {} };
+  if (!entry.view) {
+    route();
+    return;
+  }
+
+  const ctx = { params, query: new URLSearchParams(location.search), signal: new AbortController().signal };
+  try {
+    const data = entry.load ? entry.load(ctx) : null;
+    if (isPromise(data)) {
+      data.catch(() => {});
+      route();
+      return;
+    }
+    entry.view(ctx, data);
+  } catch (e) {
+    setError(e.message || String(e));
+  }
+}
+
+/* ============================================================================
+   Global search
+   ============================================================================ */
+
+/**
+ * Top bar search form:
+ * - Submits through the SPA router (the plain form action still works without JS).
+ * - The search page mirrors its "?q=" into the input (syncGlobalSearchInput).
+ */
+export function wireGlobalSearch() {
+  const form = document.getElementById("globalSearch");
+  if (!form) return;
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const input = form.querySelector("input[name='q']");
+    navigate(buildSearchUrl(input ? input.value : ""));
+  });
+}
+
+/* ============================================================================
+   Link interception (internal SPA navigation)
+   ============================================================================ */
+
+/**
+ * Intercept internal links:
+ * - Only absolute internal paths starting with "/"
+ * - Do NOT intercept external links, mailto, tel, hash anchors
+ */
+export function onLinkClick(e) {
+  const a = e.target.closest("a");
+  if (!a) return;
+
+  const href = a.getAttribute("href");
+  if (!href) return;
+
+  if (href.startsWith("http://") || href.startsWith("https://")) return;
+  if (href.startsWith("mailto:") || href.startsWith("tel:")) return;
+  if (href.startsWith("#")) return;
+  if (!href.startsWith("/")) return;
+
+  e.preventDefault();
+  navigate(href);
+}
+
+/**
+ * Back/forward:
+ * - Between awards of the year page on screen: switch the featured award in place.
+ * - Anything else: full route(), restoring where that entry was scrolled to.
+ */
+export function onPopState() {
+  rememberScrollPosition();
+
+  const parts = parsePathRoute();
+  const page = getActiveYearPage();
+
+  if (page && parts[0] === "steamawards" && Number(parts[1]) === page.year) {
+    const awardId = decodePathSegment(parts[2]);
+    if (page.selectAwardFromUrl(awardId)) {
+      _entryKey = getEntryKey();
+      return;
+    }
+  }
+
+  route({ scroll: "restore" });
+}
@@ -0,0 +1,82 @@
+/* AwardHub - route table
+ *
+ * Matched in order by route() (router.js). Each entry:
+ * - path: "/steamawards/:year<int>/:awardId?/"
+ *   ":name" matches one URL-decoded segment, "?" makes a trailing one optional,
+ *   "<int>" only matches digits and yields a number.
+ * - load({ params, query, signal }) (optional): data for the view, or a promise of it.
+ *   The loading state is shown while a promise is pending and a rejection renders the
+ *   error state. signal aborts when a newer navigation starts: pass it on so the
+ *   requests are cancelled.
+ * - view({ params, query }, data): paints #app.
+ * - redirect: replace the URL with this path and match again instead.
+ *
+ * Adding a page means adding an entry here; the router itself stays unchanged.
+ */
+
+import { getCachedRows, fetchSheetRows, fetchYearData, buildYearDataFromRows } from "./data.js";
+import {
+  renderHome,
+  renderYearPage,
+  renderAwardHistoryPage,
+  renderGamePage,
+  renderSearchPage,
+  renderComparePage,
+  renderNotFound
+} from "./views.js";
+
+/**
+ * Every sheet row: straight from the cache when it has them (no loading state), else
+ * fetched.
+ */
+function loadRows({ signal }) {
+  return getCachedRows() || fetchSheetRows({ signal });
+}
+
+export const ROUTES = [
+  {
+    path: "/",
+    redirect: "/steamawards/"
+  },
+  {
+    path: "/steamawards/",
+    load: loadRows,
+    view: (_, rows) => renderHome(rows)
+  },
+  {
+    path: "/steamawards/search/",
+    // An empty query renders the search form only: nothing to load.
+    load: (ctx) => (String(ctx.query.get("q") || "").trim() ? loadRows(ctx) : null),
+    view: ({ query }, rows) => renderSearchPage(query.get("q") || "", rows)
+  },
+  {
+    path: "/steamawards/compare/",
+    load: loadRows,
+    view: ({ query }, rows) => renderComparePage(query.get("years") || "", rows)
+  },
+  {
+    path: "/steamawards/award/:awardId/",
+    load: loadRows,
+    view: ({ params }, rows) => renderAwardHistoryPage(params.awardId, rows)
+  },
+  {
+    path: "/steamawards/game/:slug/",
+    load: loadRows,
+    view: ({ params }, rows) => renderGamePage(params.slug, rows)
+  },
+  {
+    path: "/steamawards/:year<int>/:awardId?/",
+    load: ({ params, signal }) => {
+      const rows = getCachedRows();
+      return rows ? buildYearDataFromRows(params.year, rows) : fetchYearData(params.year, { signal });
+    },
+    view: ({ params }, data) => renderYearPage(params.year, params.awardId || "", data)
+  }
+];
+
+/**
+ * Anything no entry matches.
+ */
+export const NOT_FOUND_ROUTE = {
+  view: () => renderNotFound()
+};
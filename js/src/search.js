@@ -0,0 +1,322 @@
+/* AwardHub - search matching (year page filter + cross-year search page) */
+
+import { escapeHtml } from "./dom.js";
+import { getAvailableYearsFromRows, buildYearDataFromRows } from "./data.js";
+
+/* ============================================================================
+   Search matching (year filter + cross-year search)
+   ============================================================================ */
+
+/**
+ * Normalize text for matching:
+ * - drop ® ™ © (before NFKD, which would turn ™ into "TM")
+ * - strip accents ("Ragnarök" -> "ragnarok")
+ * - drop apostrophes ("Baldur's" -> "baldurs"), "&" -> "and"
+ * - every other punctuation or dash (- – —) becomes a space
+ */
+export function normalizeSearchText(s) {
+  return String(s || "")
+    .replace(/[®™©]/g, "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * normalizeSearchText() that remembers where each character came from:
+ * - norm: same text as normalizeSearchText(s)
+ * - spans: spans[i] = [start, end) of norm[i] in s (accents stay with their letter)
+ */
+export function mapSearchText(s) {
+  const raw = String(s || "");
+  let norm = "";
+  const spans = [];
+
+  let at = 0;
+  for (const ch of raw) {
+    const start = at;
+    at += ch.length;
+    if (/[\u0300-\u036f]/.test(ch) && spans.length) {
+      spans[spans.length - 1][1] = at;
+      continue;
+    }
+    const piece = ch
+      .replace(/[®™©]/g, "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/&/g, " and ")
+      .replace(/['’]/g, "")
+      .replace(/[^a-z0-9]+/g, " ");
+    for (const c of piece) {
+      // One space per run of punctuation, none at the start
+      if (c === " " && (!norm || norm.endsWith(" "))) continue;
+      norm += c;
+      spans.push([start, at]);
+    }
+  }
+  if (norm.endsWith(" ")) {
+    norm = norm.slice(0, -1);
+    spans.pop();
+  }
+  return { norm, spans };
+}
+
+/**
+ * Pre-normalized forms of a query or field:
+ * - norm: normalized text
+ * - compact: same without spaces ("game of the year" ~ "gameoftheyear")
+ * - words: normalized tokens
+ */
+export function prepareSearchText(s) {
+  const norm = normalizeSearchText(s);
+  return {
+    norm,
+    compact: norm.replace(/ /g, ""),
+    words: norm ? norm.split(" ") : []
+  };
+}
+
+/**
+ * True when a and b are within maxEdits insertions/deletions/substitutions or swaps of
+ * two adjacent letters ("rign" ~ "ring").
+ * Row-by-row optimal string alignment (Damerau-Levenshtein without repeated edits of one
+ * substring), with an early exit once no later row can come back under the limit.
+ */
+export function isWithinEditDistance(a, b, maxEdits) {
+  if (Math.abs(a.length - b.length) > maxEdits) return false;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let prevMin = 0;
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    // A swap reaches back two rows: stop only when both are over the limit
+    if (rowMin > maxEdits && prevMin >= maxEdits) return false;
+    prevPrev = prev;
+    prev = cur;
+    prevMin = rowMin;
+  }
+  return prev[b.length] <= maxEdits;
+}
+
+/**
+ * How well one query token matches a prepared field (0 = no match):
+ * - 3 exact word, 2 word prefix, 1.5 inside a word or the compact field
+ * - 1 typo: one edit (or swap) for 4–7 letters, two for 8+ (against a word or its prefix)
+ */
+export function scoreSearchToken(token, field) {
+  let best = 0;
+  for (const w of field.words) {
+    if (w === token) return 3;
+    if (w.startsWith(token)) best = Math.max(best, 2);
+    else if (token.length >= 3 && w.includes(token)) best = Math.max(best, 1.5);
+  }
+  if (best) return best;
+  if (token.length >= 3 && field.compact.includes(token)) return 1.5;
+
+  const maxEdits = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+  if (!maxEdits) return 0;
+
+  const fuzzy = field.words.some(
+    (w) =>
+      isWithinEditDistance(token, w, maxEdits) ||
+      (w.length > token.length && isWithinEditDistance(token, w.slice(0, token.length), maxEdits))
+  );
+  return fuzzy ? 1 : 0;
+}
+
+/**
+ * Relevance of an award for a query (0 = no match).
+ *
+ * - Whole-query matches score highest (equal > contained > contained ignoring spaces).
+ * - Otherwise every token must match some field; each token adds its best weighted score.
+ * - weights: per-field multipliers { winner, award, nominee } (0 skips the field)
+ */
+export function scoreAwardMatch(award, query, weights = { winner: 1, award: 1, nominee: 0.5 }) {
+  const q = prepareSearchText(query);
+  if (q.words.length === 0) return 0;
+
+  const fields = [
+    { text: award?.winner?.game_name, weight: weights.winner },
+    { text: award?.award_name, weight: weights.award },
+    ...(award?.nominees || []).map((n) => ({ text: n?.game_name, weight: weights.nominee }))
+  ]
+    .filter((f) => f.weight > 0 && f.text)
+    .map((f) => ({ ...prepareSearchText(f.text), weight: f.weight }));
+
+  let phrase = 0;
+  fields.forEach((f) => {
+    let p = 0;
+    if (f.norm === q.norm) p = 12;
+    else if (f.norm.includes(q.norm)) p = 8;
+    else if (q.compact.length >= 3 && f.compact.includes(q.compact)) p = 6;
+    phrase = Math.max(phrase, p * f.weight);
+  });
+
+  let tokens = 0;
+  for (const token of q.words) {
+    const best = Math.max(0, ...fields.map((f) => scoreSearchToken(token, f) * f.weight));
+    if (best === 0) return phrase;
+    tokens += best;
+  }
+
+  return phrase + tokens;
+}
+
+/**
+ * Search awards and winners across every year.
+ * - Same matcher as the year filter; winner matches rank above award-name matches
+ *   ("what has Elden Ring won?"), nominees are not searched here.
+ * Returns groups ordered by their best hit:
+ *   [{ year, results: [{ year, award, score }, ...] }, ...]
+ */
+export function searchAllAwardsFromRows(rows, query) {
+  if (!normalizeSearchText(query)) return [];
+
+  const hits = [];
+  getAvailableYearsFromRows(rows).forEach((year) => {
+    buildYearDataFromRows(year, rows).awards.forEach((award) => {
+      const score = scoreAwardMatch(award, query, { winner: 2, award: 1, nominee: 0 });
+      if (score > 0) hits.push({ year, award, score });
+    });
+  });
+
+  const byYear = new Map();
+  hits.forEach((h) => {
+    if (!byYear.has(h.year)) byYear.set(h.year, []);
+    byYear.get(h.year).push(h);
+  });
+
+  return Array.from(byYear.entries())
+    .map(([year, results]) => ({
+      year,
+      results: results.sort((a, b) => b.score - a.score)
+    }))
+    .sort((a, b) => b.results[0].score - a.results[0].score || b.year - a.year);
+}
+
+/**
+ * [start, end) of every occurrence of needle in haystack.
+ */
+function findAll(haystack, needle) {
+  const out = [];
+  let at = needle ? haystack.indexOf(needle) : -1;
+  while (at >= 0) {
+    out.push([at, at + needle.length]);
+    at = haystack.indexOf(needle, at + 1);
+  }
+  return out;
+}
+
+/**
+ * Ranges of normalized text (mapSearchText().norm) that the query matched, by the
+ * scoreAwardMatch() rules: the whole query, then per token an exact / prefix / inner word
+ * hit, else a hit ignoring spaces, else a word within the typo limit.
+ */
+function findSearchRanges(norm, query) {
+  const q = prepareSearchText(query);
+  if (q.words.length === 0) return [];
+
+  const words = [];
+  let offset = 0;
+  (norm ? norm.split(" ") : []).forEach((w) => {
+    words.push({ w, at: offset });
+    offset += w.length + 1;
+  });
+
+  // Positions of the compact (space-less) text in norm
+  const compactAt = [];
+  for (let i = 0; i < norm.length; i++) if (norm[i] !== " ") compactAt.push(i);
+  const compact = norm.replace(/ /g, "");
+  const fromCompact = ([start, end]) => [compactAt[start], compactAt[end - 1] + 1];
+
+  const ranges = findAll(norm, q.norm);
+  if (q.compact.length >= 3) ranges.push(...findAll(compact, q.compact).map(fromCompact));
+
+  q.words.forEach((token) => {
+    const hits = [];
+    words.forEach(({ w, at }) => {
+      if (w.startsWith(token)) hits.push([at, at + token.length]);
+      else if (token.length >= 3) findAll(w, token).forEach(([s, e]) => hits.push([at + s, at + e]));
+    });
+    if (!hits.length && token.length >= 3) hits.push(...findAll(compact, token).map(fromCompact));
+
+    const maxEdits = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+    if (!hits.length && maxEdits) {
+      words.forEach(({ w, at }) => {
+        if (isWithinEditDistance(token, w, maxEdits)) hits.push([at, at + w.length]);
+        else if (w.length > token.length && isWithinEditDistance(token, w.slice(0, token.length), maxEdits)) {
+          hits.push([at, at + token.length]);
+        }
+      });
+    }
+    ranges.push(...hits);
+  });
+
+  return ranges;
+}
+
+/**
+ * Escape text and wrap what the query matched in <mark>. Matching runs on the normalized
+ * text, so accented, trademarked, squashed ("gameoftheyear") and mistyped hits are marked
+ * on the original characters too.
+ */
+export function highlightMatches(text, query) {
+  const raw = String(text || "");
+  const { norm, spans } = mapSearchText(raw);
+
+  // Back onto the original string, then merge overlaps
+  const ranges = findSearchRanges(norm, query)
+    .map(([start, end]) => [spans[start][0], spans[end - 1][1]])
+    .sort((a, b) => a[0] - b[0]);
+
+  let out = "";
+  let pos = 0;
+  ranges.forEach(([start, end]) => {
+    if (end <= pos) return;
+    start = Math.max(start, pos);
+    out += escapeHtml(raw.slice(pos, start)) + `<mark>${escapeHtml(raw.slice(start, end))}</mark>`;
+    pos = end;
+  });
+  return out + escapeHtml(raw.slice(pos));
+}
+
+/**
+ * Live filter awards, best match first.
+ * Matching is accent/trademark/punctuation-insensitive and tolerates small typos
+ * (see scoreAwardMatch()); ties keep source order.
+ * Returns:
+ * - filteredAwards
+ * - indexMap: filteredIndex -> originalIndex
+ */
+export function filterAwards(allAwards, keyword) {
+  if (!normalizeSearchText(keyword)) {
+    return { filteredAwards: allAwards, indexMap: allAwards.map((_, i) => i) };
+  }
+
+  const scored = [];
+  allAwards.forEach((a, i) => {
+    const score = scoreAwardMatch(a, keyword);
+    if (score > 0) scored.push({ a, i, score });
+  });
+  scored.sort((x, y) => y.score - x.score || x.i - y.i);
+
+  return {
+    filteredAwards: scored.map((x) => x.a),
+    indexMap: scored.map((x) => x.i)
+  };
+}
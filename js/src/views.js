@@ -0,0 +1,1002 @@
+/* AwardHub - page views
+ *
+ * Each render* function paints #app from what its route loaded (routes.js) and
+ * wires its own event listeners. Loading / error states belong to the router.
+ */
+
+import AwardHubImages from "../shared/images.js";
+import AwardHubCategories from "../shared/categories.js";
+import { setAppHtml, escapeHtml, announce } from "./dom.js";
+import {
+  parsePathRoute,
+  decodePathSegment,
+  buildYearUrl,
+  buildAwardUrl,
+  buildAwardCategoryUrl,
+  buildGameUrl,
+  buildCompareUrl,
+  parseCompareYears
+} from "./links.js";
+import {
+  getAvailableYearsFromRows,
+  collectCategoryHistoryFromRows,
+  collectGameAwardsFromRows,
+  compareYearsFromRows
+} from "./data.js";
+import { imgWithFallback } from "./images.js";
+import { setViewUrl } from "./router.js";
+import { buildStoreLinks } from "./providers.js";
+import { trackEvent, AWARD_SELECT_EVENT } from "./analytics.js";
+import {
+  normalizeSearchText,
+  searchAllAwardsFromRows,
+  highlightMatches,
+  filterAwards
+} from "./search.js";
+import {
+  SITE_NAME,
+  SITE_ORIGIN,
+  applyPageMeta,
+  buildAwardListJsonLd,
+  applyNotFoundMeta
+} from "./meta.js";
+import {
+  renderAwardCarousel,
+  carouselChipId,
+  setCarouselSelection,
+  filterCarouselChips,
+  wireCarouselKeys,
+  scrollChipIntoViewSmart
+} from "./carousel.js";
+
+const { PLACEHOLDER_URL } = AwardHubImages;
+const { resolveAwardCategory } = AwardHubCategories;
+
+/**
+ * Point the URL at another path of the same page (award permalink, canonical ID).
+ * The query string ("?source=static") and the hash are kept; nothing happens when the
+ * path is already `path`.
+ * - push: new history entry, otherwise the current one is replaced
+ */
+function setPagePath(path, push = false) {
+  if (path === location.pathname) return;
+  setViewUrl(path + location.search + location.hash, push);
+}
+
+/* ============================================================================
+   Home
+   ============================================================================ */
+
+/**
+ * Home: one card per year.
+ * - rows: every sheet row (fetchSheetRows)
+ */
+export function renderHome(rows) {
+  const years = getAvailableYearsFromRows(rows);
+
+  const yearsHtml = years
+    .map((y) => {
+      return `
+        <a class="card yearCard" href="/steamawards/${y}/" aria-label="Steam Awards ${y}">
+          <div>
+            <div class="yearCard__year">${y}</div>
+            <div class="yearCard__meta">Steam Game Awards</div>
+          </div>
+          <div class="badge">Open</div>
+        </a>
+      `;
+    })
+    .join("");
+
+  const range = years.length ? `${years[years.length - 1]} to ${years[0]}` : "every year";
+  applyPageMeta({
+    description: `Explore official Steam Awards winners from ${range}: every category, winner and nominee.`,
+    path: "/steamawards/",
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@type": "WebSite",
+      name: SITE_NAME,
+      url: `${SITE_ORIGIN}/steamawards/`
+    }
+  });
+
+  setAppHtml(`
+    <div class="hero">
+      <h1 class="hero__title">AwardHub</h1>
+      <p class="hero__desc">
+        Explore official Steam Awards winners by year. Data is continuously updated for accuracy.
+      </p>
+
+      <div class="grid grid--years">
+        ${yearsHtml}
+      </div>
+    </div>
+  `);
+}
+
+/* ============================================================================
+   Year page building blocks
+   ============================================================================ */
+
+/**
+ * Year page header.
+ */
+export function renderYearHeader(year, awardCount, source) {
+  return `
+    <div class="hero">
+      <h1 class="hero__title">Steam Game Awards ${year}</h1>
+      <p class="hero__desc">
+        Source: ${escapeHtml(source || "Steam")}. Total awards: ${awardCount}.
+      </p>
+
+      <div class="toolbar">
+        <input id="searchBox" class="input" placeholder="Search by award / winner / nominee (live filter)"
+               aria-label="Filter ${year} awards" aria-controls="awardCarousel" />
+        <span class="badge">Year: ${year}</span>
+        <a class="badge" href="/steamawards/">Back</a>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Placeholder overview text.
+ */
+export function buildAwardOverviewText(award) {
+  const awardName = String(award?.award_name || "").trim();
+  const winnerName = String(award?.winner?.game_name || "").trim();
+  const description = String(award?.award_description || "").trim();
+
+  return `
+${awardName ? `“${awardName}”` : "This award"} is showcased here with the winner and quick links.
+${description ? `${description}\n` : ""}Winner: ${winnerName || "Unknown"}.
+`;
+}
+
+/**
+ * Analytics tags of an external link (see wireOutboundClicks in analytics.js).
+ */
+function renderLinkTags(provider, context) {
+  return [
+    ` data-provider="${escapeHtml(provider)}"`,
+    context.year ? ` data-year="${escapeHtml(context.year)}"` : "",
+    context.awardId ? ` data-award-id="${escapeHtml(context.awardId)}"` : ""
+  ].join("");
+}
+
+/**
+ * External link buttons: blog post, one per store provider (data/link_providers.json)
+ * and the Steam community hub.
+ * - context: { year, awardId } of the award they belong to, for click analytics
+ */
+export function renderExternalButtons(winner, context = {}) {
+  const postUrl = winner?.blogger_url || "";
+  const hubUrl = winner?.steam_hub_url || "";
+
+  const postBtn = postUrl
+    ? `<a class="btn btn--primary"
+         href="${escapeHtml(postUrl)}"
+         target="_blank"
+         rel="noopener"${renderLinkTags("blog", context)}>
+         Read Post
+       </a>`
+    : `<span class="btn btn--primary btn--disabled"
+             title="Post not available">
+         Read Post
+       </span>`;
+
+  const storeBtns = buildStoreLinks(winner)
+    .map(
+      (link) => `<a class="btn${link.style ? ` btn--${link.style}` : ""}"
+         href="${escapeHtml(link.url)}"
+         target="_blank"
+         rel="noopener"${renderLinkTags(link.id, context)}>
+         ${escapeHtml(link.label)}
+       </a>`
+    )
+    .join("");
+
+  const hubBtn = hubUrl
+    ? `<a class="btn"
+         href="${escapeHtml(hubUrl)}"
+         target="_blank"
+         rel="noopener"${renderLinkTags("steam_hub", context)}>
+         Community Hub
+       </a>`
+    : "";
+
+  return `<div class="btnRow btnRow--tight">
+            ${postBtn}
+            ${storeBtns}
+            ${hubBtn}
+          </div>`;
+}
+
+/**
+ * Nominee list for the featured panel (empty string when there are none).
+ */
+export function renderNomineeList(nominees) {
+  if (!Array.isArray(nominees) || nominees.length === 0) return "";
+
+  const items = nominees
+    .map((n) => {
+      const name = escapeHtml(n?.game_name || "Unknown Game");
+      const gameUrl = buildGameUrl(n?.game_name);
+      return `
+        <li class="nominee">
+          ${imgWithFallback(n?.icon_url, "nominee__img")}
+          ${gameUrl
+            ? `<a class="nominee__name" href="${escapeHtml(gameUrl)}">${name}</a>`
+            : `<span class="nominee__name">${name}</span>`}
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="featured__rightTitle">Nominees</div>
+    <ul class="nomineeList">${items}</ul>
+  `;
+}
+
+/**
+ * Featured panel.
+ * Options:
+ * - title: heading text (defaults to the award name)
+ * - awardHref: where the heading links (defaults to the category history page)
+ * - hint: footer tip in the overview panel
+ * - labelledBy: id of the carousel chip this panel belongs to (tabpanel role)
+ */
+export function renderFeaturedAward(award, year, options = {}) {
+  const awardName = escapeHtml(options.title || award?.award_name || "Unknown Award");
+  const winnerName = escapeHtml(award?.winner?.game_name || "Unknown Game");
+  const icon = award?.winner?.icon_url || PLACEHOLDER_URL;
+  const gameUrl = buildGameUrl(award?.winner?.game_name);
+  const awardHref = options.awardHref ?? buildAwardCategoryUrl(award?.award_id);
+  const hint = options.hint || "Tip: Click a card below to switch awards. Search filters by award name / winner / nominee.";
+  const overview = escapeHtml(buildAwardOverviewText(award)).replaceAll("\n", "<br/>");
+
+  return `
+    <section class="featured" id="featuredAward"${options.labelledBy
+      ? ` role="tabpanel" aria-labelledby="${escapeHtml(options.labelledBy)}"`
+      : ""}>
+      <div class="featured__left">
+        ${awardHref
+          ? `<a class="featured__awardName" href="${escapeHtml(awardHref)}">${awardName}</a>`
+          : `<div class="featured__awardName">${awardName}</div>`}
+
+        <div class="featured__media">
+          ${imgWithFallback(icon, "featured__img")}
+          <div class="featured__winnerBlock">
+            <div class="featured__label">Winner</div>
+            ${gameUrl
+              ? `<a class="featured__winnerName" href="${escapeHtml(gameUrl)}" title="All awards for this game">${winnerName}</a>`
+              : `<div class="featured__winnerName">${winnerName}</div>`}
+          </div>
+        </div>
+
+        ${renderExternalButtons(award?.winner, { year, awardId: award?.award_id })}
+      </div>
+
+      <aside class="featured__right">
+        <div class="featured__rightTitle">Overview</div>
+        <div class="featured__rightText">${overview}</div>
+
+        ${renderNomineeList(award?.nominees)}
+
+        <div class="featured__hint">${escapeHtml(hint)}</div>
+      </aside>
+    </section>
+  `;
+}
+
+/**
+ * Swap the featured panel on screen (#featuredAward) for new renderFeaturedAward markup.
+ */
+export function replaceFeaturedAward(html) {
+  const current = document.getElementById("featuredAward");
+  if (!current) return;
+
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html.trim();
+  current.replaceWith(tpl.content);
+}
+
+/* ============================================================================
+   Year page renderer
+   ============================================================================ */
+
+/**
+ * The year page currently on screen (set by renderYearPage, cleared by route()).
+ * Lets back/forward between awards of the same year switch the featured award
+ * in place instead of re-rendering the whole page.
+ */
+let _activeYearPage = null;
+
+export function getActiveYearPage() {
+  return _activeYearPage;
+}
+
+export function clearActiveYearPage() {
+  _activeYearPage = null;
+}
+
+/**
+ * Not-found state for an award permalink whose ID does not exist in that year.
+ */
+export function renderAwardNotFound(year, awardId) {
+  return `
+    <div class="hero">
+      <h1 class="hero__title">Award not found</h1>
+      <p class="hero__desc">
+        There is no award “${escapeHtml(awardId)}” in the Steam Game Awards ${escapeHtml(year)}.
+      </p>
+      <div class="toolbar">
+        <a class="badge" href="${buildYearUrl(year)}">All ${escapeHtml(year)} awards</a>
+        <a class="badge" href="/steamawards/">Back</a>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Year page.
+ * - awardId (optional): permalink segment selecting the featured award.
+ * - data: fetchYearData(year)
+ * - Repainted with refreshed rows (refreshView()), the filter keyword stays and the
+ *   selection follows the URL.
+ * - Chip clicks push "/steamawards/<year>/<awardId>/" so back/forward walks
+ *   through previously selected awards; selection changes caused by the search
+ *   filter only replaceState the current entry.
+ * - Painted once: afterwards the filter hides / reorders chips in place and a new
+ *   selection only swaps the featured panel. The header (and its search input),
+ *   the carousel and its scroll position are never recreated.
+ */
+export function renderYearPage(year, awardId, data) {
+  const allAwards = Array.isArray(data.awards) ? data.awards : [];
+  const keptKeyword =
+    _activeYearPage && _activeYearPage.year === year ? String(document.getElementById("searchBox")?.value || "") : "";
+
+  if (allAwards.length === 0) {
+    applyNotFoundMeta(`No Steam Awards ${year}`);
+    setAppHtml(
+      renderYearHeader(year, 0, data.source) +
+        `<div class="notice">No awards found for ${escapeHtml(year)}.</div>`
+    );
+    return;
+  }
+
+  // Legacy IDs ("bestsoundtrack") resolve to the canonical one ("best_soundtrack").
+  const findAwardIndex = (id) => {
+    const canonicalId = resolveAwardCategory(id, { report: false }).id;
+    return allAwards.findIndex((a) => a.award_id === canonicalId);
+  };
+
+  let initialIndex = 0;
+  if (awardId) {
+    initialIndex = findAwardIndex(awardId);
+    if (initialIndex < 0) {
+      applyNotFoundMeta("Award not found");
+      setAppHtml(renderAwardNotFound(year, awardId));
+      return;
+    }
+  }
+
+  /**
+   * Year permalink: describes the whole year.
+   * Award permalink ("/steamawards/<year>/<awardId>/"): describes the featured award.
+   */
+  function applyYearPageMeta(award) {
+    const onAwardUrl = Boolean(decodePathSegment(parsePathRoute()[2]));
+    const yearPath = buildYearUrl(year);
+    const jsonLd = buildAwardListJsonLd(
+      `Steam Awards ${year} winners`,
+      yearPath,
+      allAwards.map((a) => ({ name: a.award_name, award: a }))
+    );
+
+    if (!onAwardUrl || !award) {
+      applyPageMeta({
+        title: `Steam Awards ${year} winners`,
+        description: `All ${allAwards.length} Steam Awards ${year} winners: ${allAwards
+          .map((a) => `${a.award_name} – ${a.winner?.game_name}`)
+          .join(", ")}.`,
+        path: yearPath,
+        image: allAwards[0]?.winner?.icon_url,
+        jsonLd
+      });
+      return;
+    }
+
+    const winnerName = award.winner?.game_name || "";
+    applyPageMeta({
+      title: `${award.award_name} ${year}: ${winnerName}`,
+      description: `${winnerName} won ${award.award_name} at the Steam Awards ${year}. ${award.award_description || ""}`,
+      path: buildAwardUrl(year, award.award_id),
+      image: award.winner?.icon_url,
+      jsonLd
+    });
+  }
+
+  // Local state (kept inside this renderYearPage closure)
+  let selectedIndex = initialIndex;
+  let indexMap = allAwards.map((_, i) => i);
+
+  /**
+   * Mirror the selected award into the URL.
+   * - push: new history entry (a chip click)
+   * - otherwise: replace the current entry (arrow keys, selection forced by the filter)
+   */
+  function syncAwardUrl(push) {
+    setPagePath(buildAwardUrl(year, allAwards[selectedIndex]?.award_id), push);
+  }
+
+  /**
+   * Feature allAwards[idx]: swap the featured panel, move the chip selection and
+   * tell screen readers about the new winner.
+   * Options:
+   * - history: "push" / "replace" the URL to the award permalink (omit: keep the URL)
+   */
+  function selectAward(idx, options = {}) {
+    selectedIndex = idx;
+    if (options.history) syncAwardUrl(options.history === "push");
+
+    const award = allAwards[idx];
+    applyYearPageMeta(award);
+    replaceFeaturedAward(renderFeaturedAward(award, year, { labelledBy: carouselChipId(idx) }));
+
+    const track = document.getElementById("awardCarousel");
+    const chip = track && setCarouselSelection(track, idx);
+    if (chip) scrollChipIntoViewSmart(track, chip);
+
+    announce(`${award.award_name}: ${award.winner?.game_name || "Unknown"}`);
+  }
+
+  /**
+   * Show the chips matching `keyword` (best match first), or the empty notice.
+   */
+  function applyFilter(keyword) {
+    indexMap = filterAwards(allAwards, keyword).indexMap;
+
+    const track = document.getElementById("awardCarousel");
+    if (track) filterCarouselChips(track, indexMap);
+    document.getElementById("yearLayout").hidden = indexMap.length === 0;
+    document.getElementById("yearFilterEmpty").hidden = indexMap.length > 0;
+  }
+
+  /**
+   * Back/forward within this year: select the award from the URL in place.
+   * Returns false when the ID is unknown so the caller can fall back to route().
+   */
+  function selectAwardFromUrl(id) {
+    const idx = id ? findAwardIndex(id) : 0;
+    if (idx < 0) return false;
+
+    // The award may be hidden by the current filter: clear it.
+    if (!indexMap.includes(idx)) {
+      const searchBox = document.getElementById("searchBox");
+      if (searchBox) searchBox.value = "";
+      applyFilter("");
+    }
+
+    if (idx === selectedIndex) applyYearPageMeta(allAwards[idx]);
+    else selectAward(idx);
+    return true;
+  }
+
+  _activeYearPage = { year, selectAwardFromUrl };
+
+  // Rewrite legacy permalinks to the canonical ID without a new history entry.
+  if (awardId) syncAwardUrl(false);
+
+  applyYearPageMeta(allAwards[selectedIndex]);
+  setAppHtml(`
+    ${renderYearHeader(year, allAwards.length, data.source)}
+    <div class="notice" id="yearFilterEmpty" hidden>No matches. Try a different keyword.</div>
+    <div class="yearLayout" id="yearLayout">
+      ${renderFeaturedAward(allAwards[selectedIndex], year, { labelledBy: carouselChipId(selectedIndex) })}
+      ${renderAwardCarousel(allAwards, selectedIndex)}
+    </div>
+  `);
+
+  // Search input wiring
+  const searchBox = document.getElementById("searchBox");
+  if (searchBox && keptKeyword) {
+    searchBox.value = keptKeyword;
+    applyFilter(keptKeyword);
+  }
+  if (searchBox) {
+    searchBox.addEventListener("input", () => {
+      const keyword = String(searchBox.value || "");
+      applyFilter(keyword);
+
+      if (indexMap.length === 0) {
+        announce("No matching awards.");
+        return;
+      }
+
+      // The featured award follows the best match while a keyword is active.
+      if (normalizeSearchText(keyword) || !indexMap.includes(selectedIndex)) {
+        if (indexMap[0] !== selectedIndex) selectAward(indexMap[0], { history: "replace" });
+      }
+    });
+  }
+
+  // Carousel wiring
+  const track = document.getElementById("awardCarousel");
+  if (track) {
+    // Clicks add a history entry; arrowing through the chips only replaces it.
+    const selectChip = (idx, how = {}) => {
+      if (!Number.isFinite(idx) || !allAwards[idx] || idx === selectedIndex) return;
+      selectAward(idx, { history: how.keyboard ? "replace" : "push" });
+      trackEvent(AWARD_SELECT_EVENT, { year, awardId: allAwards[idx].award_id });
+    };
+
+    track.addEventListener("click", (e) => {
+      const btn = e.target.closest(".awardChip");
+      if (btn) selectChip(Number(btn.getAttribute("data-award-idx")));
+    });
+    wireCarouselKeys(track, selectChip);
+
+    if (initialIndex > 0) {
+      requestAnimationFrame(() => {
+        const active = track.querySelector(".awardChip.is-active");
+        if (active) scrollChipIntoViewSmart(track, active);
+      });
+    }
+  }
+}
+
+/* ============================================================================
+   Award category history renderer
+   ============================================================================ */
+
+/**
+ * Category history page: one chip per year, newest year featured first.
+ * - categoryParam: canonical ID or any spelling of the award name
+ * - rows: every sheet row
+ */
+export function renderAwardHistoryPage(categoryParam, rows) {
+  const category = resolveAwardCategory(categoryParam, { report: false });
+  const timeline = collectCategoryHistoryFromRows(category.id, rows);
+
+  if (timeline.length === 0) {
+    applyNotFoundMeta("Award not found");
+    setAppHtml(`
+      <div class="hero">
+        <h1 class="hero__title">Award not found</h1>
+        <p class="hero__desc">No Steam Awards category matches “${escapeHtml(categoryParam)}”.</p>
+        <div class="toolbar">
+          <a class="badge" href="/steamawards/">Back</a>
+        </div>
+      </div>
+    `);
+    return;
+  }
+
+  // Legacy URLs ("/award/bestsoundtrack/") are rewritten to the canonical ID.
+  const canonicalUrl = buildAwardCategoryUrl(category.id);
+  setPagePath(canonicalUrl);
+
+  const categoryName = category.name;
+  const awards = timeline.map(({ award }) => award);
+  const firstYear = timeline[0].year;
+  const lastYear = timeline[timeline.length - 1].year;
+
+  let selectedIndex = timeline.length - 1;
+
+  applyPageMeta({
+    title: `${categoryName} – Steam Awards winners`,
+    description: `Every ${categoryName} winner at the Steam Awards: ${timeline
+      .map(({ year, award }) => `${year} ${award.winner?.game_name}`)
+      .join(", ")}.`,
+    path: canonicalUrl,
+    image: timeline[selectedIndex].award.winner?.icon_url,
+    jsonLd: buildAwardListJsonLd(
+      `${categoryName} winners`,
+      canonicalUrl,
+      timeline.map(({ year, award }) => ({ name: `${categoryName} ${year}`, award }))
+    )
+  });
+
+  const renderFeatured = (idx) => {
+    const { year, award } = timeline[idx];
+    return renderFeaturedAward(award, year, {
+      title: `${categoryName} ${year}`,
+      awardHref: buildAwardUrl(year, award.award_id),
+      hint: "Tip: Click a year below to see that winner. The heading opens the full year.",
+      labelledBy: carouselChipId(idx)
+    });
+  };
+
+  setAppHtml(`
+    <div class="hero">
+      <h1 class="hero__title">${escapeHtml(categoryName)}</h1>
+      <p class="hero__desc">
+        Steam Awards winners ${firstYear === lastYear ? `in ${firstYear}` : `from ${firstYear} to ${lastYear}`}.
+        Awarded ${timeline.length} time${timeline.length === 1 ? "" : "s"}.
+      </p>
+      <div class="toolbar">
+        <a class="badge" href="/steamawards/">Back</a>
+      </div>
+    </div>
+    <div class="yearLayout">
+      ${renderFeatured(selectedIndex)}
+      ${renderAwardCarousel(awards, selectedIndex, {
+        title: "Winners by year",
+        labelOf: (_, idx) => String(timeline[idx].year)
+      })}
+    </div>
+  `);
+
+  const track = document.getElementById("awardCarousel");
+  if (!track) return;
+
+  // The newest year is the last chip.
+  requestAnimationFrame(() => {
+    const active = track.querySelector(".awardChip.is-active");
+    if (active) scrollChipIntoViewSmart(track, active);
+  });
+
+  // A new year only swaps the featured panel; the carousel stays in place.
+  const selectChip = (idx) => {
+    if (!Number.isFinite(idx) || idx === selectedIndex || !timeline[idx]) return;
+
+    selectedIndex = idx;
+    replaceFeaturedAward(renderFeatured(idx));
+    const chip = setCarouselSelection(track, idx);
+    if (chip) scrollChipIntoViewSmart(track, chip);
+    announce(`${categoryName} ${timeline[idx].year}: ${timeline[idx].award.winner?.game_name || "Unknown"}`);
+    trackEvent(AWARD_SELECT_EVENT, { year: timeline[idx].year, awardId: category.id });
+  };
+
+  track.addEventListener("click", (e) => {
+    const btn = e.target.closest(".awardChip");
+    if (btn) selectChip(Number(btn.getAttribute("data-award-idx")));
+  });
+  wireCarouselKeys(track, selectChip);
+}
+
+/* ============================================================================
+   Game detail page renderer
+   ============================================================================ */
+
+/**
+ * One award card on the game page: icon (of that year), award, external links.
+ */
+export function renderGameAwardCard(year, award) {
+  const awardName = escapeHtml(award?.award_name || "Award");
+  const icon = award?.winner?.icon_url || PLACEHOLDER_URL;
+
+  return `
+    <div class="gameCard">
+      <div class="gameCard__inner">
+        ${imgWithFallback(icon, "gameCard__img")}
+        <div>
+          <a class="gameCard__name" href="${escapeHtml(buildAwardUrl(year, award?.award_id))}">${awardName}</a>
+          <div class="gameCard__meta">Steam Game Awards ${escapeHtml(year)}</div>
+        </div>
+      </div>
+      ${renderExternalButtons(award?.winner, { year, awardId: award?.award_id })}
+    </div>
+  `;
+}
+
+/**
+ * Game page: every year and award a title has won.
+ * - slug: slugifyGameName() of the winner name, as used in /img/<year>/<slug>.webp
+ * - rows: every sheet row
+ */
+export function renderGamePage(slug, rows) {
+  const wins = collectGameAwardsFromRows(slug, rows);
+
+  if (wins.length === 0) {
+    applyNotFoundMeta("Game not found");
+    setAppHtml(`
+      <div class="hero">
+        <h1 class="hero__title">Game not found</h1>
+        <p class="hero__desc">No Steam Awards winner matches “${escapeHtml(slug)}”.</p>
+        <div class="toolbar">
+          <a class="badge" href="/steamawards/">Back</a>
+        </div>
+      </div>
+    `);
+    return;
+  }
+
+  // Newest spelling of the title wins (names get ™/edition tweaks over time).
+  const gameName = wins[0].award.winner.game_name;
+
+  const byYear = new Map();
+  wins.forEach(({ year, award }) => {
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push(award);
+  });
+
+  const awardLabels = wins.map(({ year, award }) => `${award.award_name} (Steam Awards ${year})`);
+  applyPageMeta({
+    title: `${gameName} – Steam Awards`,
+    description: `${gameName} won ${wins.length} Steam Award${wins.length === 1 ? "" : "s"}: ${awardLabels.join(", ")}.`,
+    path: buildGameUrl(gameName),
+    image: wins[0].award.winner.icon_url,
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@type": "VideoGame",
+      name: gameName,
+      url: SITE_ORIGIN + buildGameUrl(gameName),
+      award: awardLabels
+    }
+  });
+
+  const sectionsHtml = Array.from(byYear.entries())
+    .map(([year, awards]) => {
+      return `
+        <section class="section">
+          <div class="section__head">
+            <h2 class="section__title">
+              <a href="${buildYearUrl(year)}">Steam Game Awards ${escapeHtml(year)}</a>
+            </h2>
+            <span class="section__sub">${awards.length} award${awards.length === 1 ? "" : "s"}</span>
+          </div>
+          <div class="gameGrid">
+            ${awards.map((a) => renderGameAwardCard(year, a)).join("")}
+          </div>
+        </section>
+      `;
+    })
+    .join("");
+
+  setAppHtml(`
+    <div class="hero">
+      <h1 class="hero__title">${escapeHtml(gameName)}</h1>
+      <p class="hero__desc">
+        ${wins.length} Steam Award${wins.length === 1 ? "" : "s"} across ${byYear.size} year${byYear.size === 1 ? "" : "s"}.
+      </p>
+      <div class="toolbar">
+        <a class="badge" href="/steamawards/">Back</a>
+      </div>
+    </div>
+    ${sectionsHtml}
+  `);
+}
+
+/* ============================================================================
+   Search results renderer
+   ============================================================================ */
+
+/**
+ * One search hit: icon, highlighted winner (game page) and award (permalink).
+ */
+export function renderSearchResult(year, award, query) {
+  const icon = award?.winner?.icon_url || PLACEHOLDER_URL;
+  const gameUrl = buildGameUrl(award?.winner?.game_name);
+  const winnerHtml = highlightMatches(award?.winner?.game_name || "Unknown Game", query);
+
+  return `
+    <div class="gameCard">
+      <div class="gameCard__inner">
+        ${imgWithFallback(icon, "gameCard__img")}
+        <div>
+          ${gameUrl
+            ? `<a class="gameCard__name" href="${escapeHtml(gameUrl)}">${winnerHtml}</a>`
+            : `<div class="gameCard__name">${winnerHtml}</div>`}
+          <a class="gameCard__meta" href="${escapeHtml(buildAwardUrl(year, award?.award_id))}">
+            ${highlightMatches(award?.award_name || "Award", query)}
+          </a>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Search page: "/steamawards/search/?q=elden ring"
+ * - rows: every sheet row (not loaded without a query)
+ */
+export function renderSearchPage(query, rows) {
+  const q = String(query || "").trim();
+  syncGlobalSearchInput(query);
+  const header = `
+    <div class="hero">
+      <h1 class="hero__title">Search all Steam Awards</h1>
+      <p class="hero__desc">
+        ${q ? `Results for “${escapeHtml(q)}” across every year.` : "Search award names and winners across every year."}
+      </p>
+      <div class="toolbar">
+        <a class="badge" href="/steamawards/">Back</a>
+      </div>
+    </div>
+  `;
+
+  applyPageMeta({
+    title: q ? `Search: ${q}` : "Search",
+    description: "Search Steam Awards categories and winners across every year.",
+    path: "/steamawards/search/",
+    noindex: true
+  });
+
+  if (!q) {
+    setAppHtml(header);
+    return;
+  }
+
+  const groups = searchAllAwardsFromRows(rows, q);
+
+  if (groups.length === 0) {
+    setAppHtml(header + `<div class="notice">No matches. Try a different keyword.</div>`);
+    return;
+  }
+
+  const sectionsHtml = groups
+    .map(({ year, results }) => {
+      return `
+        <section class="section">
+          <div class="section__head">
+            <h2 class="section__title">
+              <a href="${buildYearUrl(year)}">Steam Game Awards ${escapeHtml(year)}</a>
+            </h2>
+            <span class="section__sub">${results.length} match${results.length === 1 ? "" : "es"}</span>
+          </div>
+          <div class="gameGrid">
+            ${results.map((r) => renderSearchResult(year, r.award, q)).join("")}
+          </div>
+        </section>
+      `;
+    })
+    .join("");
+
+  setAppHtml(header + sectionsHtml);
+}
+
+/**
+ * Mirror the search page query into the top bar search input (left alone while typing).
+ */
+export function syncGlobalSearchInput(query) {
+  const input = document.querySelector("#globalSearch input[name='q']");
+  if (input && document.activeElement !== input) input.value = query || "";
+}
+
+/* ============================================================================
+   Year comparison renderer
+   ============================================================================ */
+
+/**
+ * One year's winner of a category in the comparison table ("Not awarded" when the
+ * category did not exist that year).
+ */
+export function renderCompareCell(year, award) {
+  if (!award) return `<span class="compareCell compareCell--empty">Not awarded</span>`;
+
+  const winnerName = escapeHtml(award.winner?.game_name || "Unknown Game");
+  return `
+    <a class="compareCell" href="${escapeHtml(buildAwardUrl(year, award.award_id))}"
+       title="${escapeHtml(`${award.award_name} ${year}`)}">
+      ${imgWithFallback(award.winner?.icon_url, "compareCell__img")}
+      <span class="compareCell__name">${winnerName}</span>
+    </a>
+  `;
+}
+
+/**
+ * Compare page: the categories of several years side by side.
+ * - yearsParam: ?years= value ("2022,2024"); without valid years, the two newest years
+ * - rows: every sheet row
+ * The toolbar adds and removes years through plain links, so every selection has a URL.
+ */
+export function renderComparePage(yearsParam, rows) {
+  const available = getAvailableYearsFromRows(rows);
+  const requested = parseCompareYears(yearsParam);
+  const unknown = requested.filter((y) => !available.includes(y));
+  let years = requested.filter((y) => available.includes(y));
+  if (years.length === 0) years = available.slice(0, 2).reverse();
+
+  // Canonical URL: sorted, de-duplicated, years without data dropped. Other query
+  // parameters ("?source=static") and the hash stay.
+  const canonicalUrl = buildCompareUrl(years);
+  const params = new URLSearchParams(location.search);
+  params.delete("years");
+  const extra = params.toString();
+  const url = extra ? `${canonicalUrl}${canonicalUrl.includes("?") ? "&" : "?"}${extra}` : canonicalUrl;
+  if (url !== location.pathname + location.search) setViewUrl(url + location.hash);
+
+  const title = years.length ? `Steam Awards ${years.join(" vs ")}` : "Compare Steam Awards";
+  applyPageMeta({
+    title,
+    description: `Steam Awards categories and winners side by side: ${years.join(", ") || "pick the years to compare"}.`,
+    path: canonicalUrl,
+    noindex: true
+  });
+
+  const yearBadges = years
+    .map((y) =>
+      years.length > 1
+        ? `<a class="badge compareYear" href="${escapeHtml(buildCompareUrl(years.filter((x) => x !== y)))}"
+              aria-label="Remove ${y}">${y} <span aria-hidden="true">×</span></a>`
+        : `<span class="badge compareYear">${y}</span>`
+    )
+    .join("");
+
+  const addBadges = available
+    .filter((y) => !years.includes(y))
+    .slice()
+    .reverse()
+    .map((y) => `<a class="badge" href="${escapeHtml(buildCompareUrl([...years, y]))}" aria-label="Add ${y}">+ ${y}</a>`)
+    .join("");
+
+  const header = `
+    <div class="hero">
+      <h1 class="hero__title">${escapeHtml(title)}</h1>
+      <p class="hero__desc">Matching award categories lined up year by year.</p>
+      <div class="toolbar" role="group" aria-label="Compared years">
+        ${yearBadges}
+        ${addBadges ? `<span class="toolbar__label">Add:</span>${addBadges}` : ""}
+        <a class="badge" href="/steamawards/">Back</a>
+      </div>
+    </div>
+    ${unknown.length
+      ? `<div class="notice">No Steam Awards data for ${escapeHtml(unknown.join(", "))}.</div>`
+      : ""}
+  `;
+
+  if (years.length === 0) {
+    setAppHtml(header + `<div class="notice">No years to compare yet.</div>`);
+    return;
+  }
+
+  const categories = compareYearsFromRows(years, rows);
+  const rowsHtml = categories
+    .map((c) => {
+      const only = years.length > 1 && c.years.length === 1 ? c.years[0] : null;
+      return `
+        <tr class="compareRow${only ? " compareRow--single" : ""}">
+          <th scope="row" class="compareRow__award">
+            <a href="${escapeHtml(buildAwardCategoryUrl(c.award_id))}">${escapeHtml(c.award_name)}</a>
+            ${only ? `<span class="compareTag">Only in ${only}</span>` : ""}
+          </th>
+          ${c.awards.map((award, i) => `<td>${renderCompareCell(years[i], award)}</td>`).join("")}
+        </tr>
+      `;
+    })
+    .join("");
+
+  setAppHtml(
+    header +
+      `
+    <section class="section">
+      <div class="compareScroll">
+        <table class="compareTable">
+          <thead>
+            <tr>
+              <th scope="col">Award</th>
+              ${years.map((y) => `<th scope="col"><a href="${buildYearUrl(y)}">${y}</a></th>`).join("")}
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHtml}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  `
+  );
+}
+
+/* ============================================================================
+   Not found
+   ============================================================================ */
+
+/**
+ * Page for any path the route table does not know.
+ */
+export function renderNotFound() {
+  applyNotFoundMeta("Page not found");
+  setAppHtml(`
+    <div class="hero">
+      <h1 class="hero__title">404</h1>
+      <p class="hero__desc">The page you’re looking for doesn’t exist.</p>
+      <div class="toolbar">
+        <a class="badge" href="/steamawards/">Back</a>
+      </div>
+    </div>
+  `);
+}
@@ -0,0 +1,75 @@
+/* Blog post links: shared URL rules (js/shared/blog.js) and tools/blog_posts.js. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildBlogPostUrl,
+  parseBlogPostUrl,
+  resolveBlogPostUrl,
+} = require('../js/shared/blog.js');
+const { buildBlogIndex, findWinnersWithoutPost } = require('../tools/blog_posts.js');
+
+const POST = 'https://blog.awardhub.net/steamawards/2024/black_myth_wukong/';
+
+test('post URLs follow the year / slug convention both ways', () => {
+  assert.equal(buildBlogPostUrl(2024, 'black_myth_wukong'), POST);
+  assert.equal(buildBlogPostUrl(2024, ''), '');
+  assert.deepEqual(parseBlogPostUrl(POST), { year: 2024, slug: 'black_myth_wukong' });
+  assert.deepEqual(parseBlogPostUrl(POST.slice(0, -1)), { year: 2024, slug: 'black_myth_wukong' });
+  assert.equal(parseBlogPostUrl('https://blog.awardhub.net/2024/12/wukong.html'), null);
+});
+
+test('an explicit link wins, then the index; without an index the convention is assumed', () => {
+  const index = { 2024: { black_myth_wukong: POST } };
+  const explicit = 'https://blog.awardhub.net/2024/12/wukong.html';
+
+  assert.equal(resolveBlogPostUrl(2024, 'black_myth_wukong', { url: explicit, index }), explicit);
+  assert.equal(resolveBlogPostUrl(2024, 'black_myth_wukong', { index }), POST);
+  assert.equal(resolveBlogPostUrl(2024, 'balatro', { index }), '');
+  assert.equal(resolveBlogPostUrl(2024, 'balatro', { index: {} }), '');
+  assert.equal(resolveBlogPostUrl(2024, 'balatro'), buildBlogPostUrl(2024, 'balatro'));
+  // Only http(s) links reach an href
+  assert.equal(resolveBlogPostUrl(2024, 'balatro', { url: 'javascript:alert(1)', index }), '');
+});
+
+test('the post index accepts conventional URLs and attributed ones, and refuses the rest', () => {
+  const index = buildBlogIndex([
+    POST,
+    { year: 2023, game: "Baldur's Gate 3", url: 'https://blog.awardhub.net/2023/12/bg3.html' },
+  ]);
+  assert.deepEqual(index, {
+    2023: { baldur_s_gate_3: 'https://blog.awardhub.net/2023/12/bg3.html' },
+    2024: { black_myth_wukong: POST },
+  });
+
+  assert.throws(() => buildBlogIndex(['https://blog.awardhub.net/2024/12/wukong.html']), /posts\[0\]: .* does not follow/);
+  assert.throws(() => buildBlogIndex([{ year: 2024, url: POST }]), /posts\[0\]: needs a year and a game name/);
+  assert.throws(() => buildBlogIndex([{ year: 2024, game: 'Balatro', url: '/balatro' }]), /not an absolute http/);
+  assert.throws(
+    () => buildBlogIndex([POST, { year: 2024, game: 'Black Myth: Wukong', url: 'https://example.com/' }]),
+    /posts\[1\]: second post for 2024 black_myth_wukong/
+  );
+});
+
+test('the report lists winners with neither a blogger_url nor an indexed post', () => {
+  const doc = {
+    year: 2024,
+    awards: [
+      { award_name: 'Game of the Year', winner: { game_name: 'Black Myth: Wukong' } },
+      { award_name: 'Best Soundtrack', winner: { game_name: 'Final Fantasy VII Rebirth', blogger_url: 'https://example.com/ff7' } },
+      { award_name: 'Best Game on Steam Deck', winner: { game_name: 'Balatro', blogger_url: '' } },
+    ],
+  };
+  const entries = [{ where: 'y2024', doc }, { where: 'empty.json', error: 'file is empty' }];
+
+  assert.deepEqual(findWinnersWithoutPost(entries, buildBlogIndex([POST])), [
+    {
+      where: 'y2024: awards[2]',
+      year: 2024,
+      award: 'Best Game on Steam Deck',
+      game: 'Balatro',
+      expected: 'https://blog.awardhub.net/steamawards/2024/balatro/',
+    },
+  ]);
+});
@@ -0,0 +1,167 @@
+/* Deep-link restore contract: 404.html -> index.html -> app.js
+ *
+ * Simulates a cold load of a deep link on GitHub Pages:
+ * 1. The server has no file for the path and serves 404.html.
+ * 2. 404.html redirects to "/#<path>".
+ * 3. index.html's inline <head> script restores the original URL.
+ * 4. The app bundle (deferred) runs its root rewrite and parses the route
+ *    (js/src/router.js and links.js, imported against the same fake location).
+ *
+ * The inline scripts are read straight from the HTML files, so the test breaks
+ * if either side of the contract changes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { pathToFileURL } = require('node:url');
+
+const ROOT = path.resolve(__dirname, '..');
+const ORIGIN = 'https://games.awardhub.net';
+
+function readInlineScripts(file) {
+  const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const scripts = [];
+  const re = /<script>([\s\S]*?)<\/script>/g;
+  let m;
+  while ((m = re.exec(html))) scripts.push(m[1]);
+  return scripts;
+}
+
+/**
+ * Minimal browser: a mutable URL behind location/history.
+ * location.replace() records a full navigation instead of performing it.
+ */
+function createBrowser(href) {
+  let url = new URL(href, ORIGIN);
+  const browser = { navigations: [] };
+
+  const location = {
+    get href() { return url.href; },
+    get pathname() { return url.pathname; },
+    get search() { return url.search; },
+    get hash() { return url.hash; },
+    replace(to) { browser.navigations.push(new URL(to, url).href); },
+  };
+
+  const history = {
+    replaceState(_state, _title, to) {
+      const next = new URL(to, url);
+      if (next.origin !== url.origin) throw new Error('SecurityError: cross-origin replaceState');
+      url = next;
+    },
+    pushState(state, title, to) { this.replaceState(state, title, to); },
+  };
+
+  const noop = () => {};
+  browser.context = vm.createContext({
+    location,
+    history,
+    URL,
+    URLSearchParams,
+    console,
+    window: { addEventListener: noop, dispatchEvent: noop },
+    document: { addEventListener: noop, getElementById: () => null },
+    localStorage: { getItem: () => null, setItem: noop },
+  });
+  browser.location = location;
+  browser.history = history;
+  browser.url = () => url;
+  return browser;
+}
+
+function run404(href) {
+  const browser = createBrowser(href);
+  readInlineScripts('404.html').forEach((code) => vm.runInContext(code, browser.context));
+  assert.equal(browser.navigations.length, 1, '404.html must redirect exactly once');
+  return browser.navigations[0];
+}
+
+const app = {};
+
+test.before(async () => {
+  const load = (file) => import(pathToFileURL(path.join(ROOT, 'js/src', file)).href);
+  [app.router, app.links] = await Promise.all([load('router.js'), load('links.js')]);
+});
+
+function runIndex(href) {
+  const browser = createBrowser(href);
+  readInlineScripts('index.html').forEach((code) => vm.runInContext(code, browser.context));
+
+  // The app modules read location / history as globals when called.
+  globalThis.location = browser.location;
+  globalThis.history = browser.history;
+  try {
+    app.router.safeRewriteRootToSteamAwards();
+    return { url: browser.url(), parts: app.links.parsePathRoute() };
+  } finally {
+    delete globalThis.location;
+    delete globalThis.history;
+  }
+}
+
+function coldLoad(deepLink) {
+  return runIndex(run404(deepLink));
+}
+
+const years = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/index.json'), 'utf8')).years;
+
+const routes = [
+  { link: '/steamawards/', parts: ['steamawards'] },
+  ...years.map((y) => ({ link: `/steamawards/${y}/`, parts: ['steamawards', String(y)] })),
+  { link: '/steamawards/2024/best_soundtrack/', parts: ['steamawards', '2024', 'best_soundtrack'] },
+  { link: '/steamawards/game/elden_ring/', parts: ['steamawards', 'game', 'elden_ring'] },
+  { link: '/steamawards/award/best_soundtrack/', parts: ['steamawards', 'award', 'best_soundtrack'] },
+  { link: '/steamawards/search/', parts: ['steamawards', 'search'] },
+  { link: '/not-a-page/', parts: ['not-a-page'] },
+];
+
+test('404.html redirects to the root with the original path in the hash', () => {
+  assert.equal(
+    run404('/steamawards/2018/?source=static#top'),
+    `${ORIGIN}/#/steamawards/2018/?source=static#top`
+  );
+});
+
+for (const { link, parts } of routes) {
+  test(`cold load of ${link} restores the route`, () => {
+    const { url, parts: got } = coldLoad(link);
+    assert.equal(url.pathname, link);
+    assert.deepEqual(got, parts);
+  });
+
+  test(`cold load of ${link} keeps query string and fragment`, () => {
+    const { url, parts: got } = coldLoad(`${link}?source=static&q=elden#featured`);
+    assert.equal(url.pathname, link);
+    assert.equal(url.search, '?source=static&q=elden');
+    assert.equal(url.hash, '#featured');
+    assert.deepEqual(got, parts);
+  });
+}
+
+test('cold load without trailing slash restores the same route', () => {
+  const { url, parts } = coldLoad('/steamawards/2019');
+  assert.equal(url.pathname, '/steamawards/2019');
+  assert.deepEqual(parts, ['steamawards', '2019']);
+});
+
+test('plain root visit is rewritten to /steamawards/ keeping the query', () => {
+  const { url, parts } = runIndex('/?source=static');
+  assert.equal(url.pathname, '/steamawards/');
+  assert.equal(url.search, '?source=static');
+  assert.deepEqual(parts, ['steamawards']);
+});
+
+test('in-page fragments on the root are not treated as deep links', () => {
+  const { url } = runIndex('/#featured');
+  assert.equal(url.pathname, '/steamawards/');
+  assert.equal(url.hash, '#featured');
+});
+
+test('protocol-relative hashes are never restored', () => {
+  const { url } = runIndex('/#//evil.example/steamawards/');
+  assert.equal(url.origin, ORIGIN);
+  assert.equal(url.pathname, '/steamawards/');
+});
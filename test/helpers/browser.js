@@ -0,0 +1,43 @@
+/* jsdom browser shared by the app tests (hydration, router, views).
+ *
+ * The app modules read window, document, location, ... as globals, so the page
+ * opened last is the browser they see.
+ */
+
+const { JSDOM } = require('jsdom');
+
+const ORIGIN = 'https://games.awardhub.net';
+const GLOBALS = [
+  'window',
+  'document',
+  'location',
+  'history',
+  'localStorage',
+  'requestAnimationFrame',
+  'CustomEvent',
+  'HTMLImageElement',
+];
+
+/**
+ * Open `html` at `pathname` (on ORIGIN), wait for its load event and install it on
+ * globalThis. jsdom has no layout: scrolling is a no-op (a test can replace
+ * window.scrollTo to record it).
+ * Returns the JSDOM; the caller closes it.
+ */
+async function openBrowser(html, pathname) {
+  const dom = new JSDOM(html, { url: `${ORIGIN}${pathname}`, pretendToBeVisual: true });
+  const { window } = dom;
+  await new Promise((resolve) => window.addEventListener('load', resolve));
+
+  window.HTMLElement.prototype.scrollTo = function () {};
+  window.scrollTo = function () {};
+
+  GLOBALS.forEach((name) => {
+    globalThis[name] = name === 'window' ? window : window[name];
+  });
+  return dom;
+}
+
+module.exports = {
+  openBrowser,
+};
@@ -0,0 +1,102 @@
+/* Hydration in jsdom: a page booted with prerendered #app markup keeps its DOM nodes.
+ *
+ * The markup comes from the views themselves (what tools/prerender.js does at build
+ * time), wrapped into index.html by renderPageHtml.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { renderPageHtml } = require('../tools/prerender.js');
+const { openBrowser } = require('./helpers/browser.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGE = '/steamawards/2024/';
+const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+const load = (file) => import(pathToFileURL(path.join(ROOT, 'js/src', file)).href);
+
+const ROWS = [
+  { Year: 2024, Title: 'Game of the Year', Winner: 'Black Myth: Wukong', Nominees: 'Helldivers 2; ELDEN RING' },
+  { Year: 2024, Title: 'Best Soundtrack', Winner: 'Final Fantasy VII Rebirth' },
+];
+
+const doms = [];
+test.after(() => doms.forEach((dom) => dom.window.close()));
+
+/**
+ * Open `html` at PAGE and make it the browser the app modules see.
+ * - fetch: the Sheet API answers with ROWS (ok) or every request fails
+ */
+async function boot(html, { ok }) {
+  const dom = await openBrowser(html, PAGE);
+  doms.push(dom);
+
+  globalThis.fetch = async () => {
+    if (!ok) throw new TypeError('Failed to fetch');
+    return { ok: true, status: 200, json: async () => ({ ok: true, data: ROWS }) };
+  };
+  return dom;
+}
+
+/** The page tools/prerender.js would write for PAGE. */
+async function prerenderedPage() {
+  await boot(template, { ok: false });
+  const data = await load('data.js');
+  const views = await load('views.js');
+
+  views.renderYearPage(2024, '', data.buildYearDataFromRows(2024, ROWS));
+  return renderPageHtml(template, { path: PAGE, html: document.getElementById('app').innerHTML });
+}
+
+// Loading fails first (nothing is cached yet), then succeeds
+test('a failed load keeps the prerendered page', async () => {
+  const html = await prerenderedPage();
+  await boot(html, { ok: false });
+  const { startHydration } = await load('dom.js');
+  const { route } = await load('router.js');
+
+  const app = document.getElementById('app');
+  const markup = app.innerHTML;
+  const nodes = Array.from(app.querySelectorAll('*'));
+  assert.equal(app.getAttribute('data-prerendered'), PAGE);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    startHydration();
+    await route();
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.equal(app.innerHTML, markup);
+  assert.ok(Array.from(app.querySelectorAll('*')).every((el, i) => el === nodes[i]));
+  assert.equal(app.hasAttribute('data-prerendered'), false);
+});
+
+test('route() hydrates the prerendered page without replacing its nodes', async () => {
+  const html = await prerenderedPage();
+  await boot(html, { ok: true });
+  const { startHydration } = await load('dom.js');
+  const { route } = await load('router.js');
+
+  const app = document.getElementById('app');
+  const children = Array.from(app.childNodes);
+  const nodes = Array.from(app.querySelectorAll('*'));
+  assert.ok(app.querySelector('#awardCarousel'));
+
+  startHydration();
+  await route();
+
+  assert.equal(app.childNodes.length, children.length);
+  children.forEach((node, i) => assert.equal(app.childNodes[i], node));
+  assert.equal(app.querySelectorAll('*').length, nodes.length);
+  assert.ok(Array.from(app.querySelectorAll('*')).every((el, i) => el === nodes[i]));
+
+  // Only the listeners were attached: the reused chips work
+  app.querySelectorAll('#awardCarousel .awardChip')[1].click();
+  assert.equal(location.pathname, '/steamawards/2024/best_soundtrack/');
+  assert.equal(app.querySelector('.featured__winnerName').textContent.trim(), 'Final Fantasy VII Rebirth');
+});
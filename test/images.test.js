@@ -0,0 +1,202 @@
+/* Shared slug / image rules (js/shared/images.js), pinned to the files in img/. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  PLACEHOLDER_URL,
+  slugifyGameName,
+  buildGameImageUrl,
+  listGameImageCandidates,
+  resolveGameImage,
+  getManifestEntry,
+  listVariantWidths,
+  buildImageVariantPath,
+} = require('../js/shared/images.js');
+const { fillGame, collectWinnerSlugs, findSuffixedIcons } = require('../tools/fill_icon_urls.js');
+const { buildImageManifest } = require('../tools/image_manifest.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const existsOnDisk = (p) => fs.existsSync(path.join(ROOT, p));
+
+// Real game names from data/*.json and the file each one must resolve to.
+const PINNED = [
+  [2018, "Assassin's Creed® Odyssey", 'img/2018/assassin_s_creed_odyssey.webp'],
+  [2018, "Tom Clancy's Rainbow Six® Siege X", 'img/2018/tom_clancy_s_rainbow_six_siege_x.webp'],
+  [2018, 'PUBG: BATTLEGROUNDS', 'img/2018/pubg_battlegrounds.webp'],
+  [2019, 'Sekiro™: Shadows Die Twice - GOTY Edition', 'img/2019/sekiro_shadows_die_twice_goty_edition.webp'],
+  [2020, "DEATH STRANDING DIRECTOR'S CUT", 'img/2020/death_stranding_director_s_cut.webp'],
+  [2020, 'Half-Life: Alyx', 'img/2020/half_life_alyx.webp'],
+  [2020, 'The Sims™ 4', 'img/2020/the_sims_4.webp'],
+  [2021, 'Nioh 2 – The Complete Edition', 'img/2021/nioh_2_the_complete_edition.webp'],
+  [2021, "Marvel's Guardians of the Galaxy", 'img/2021/marvel_s_guardians_of_the_galaxy.webp'],
+  [2022, 'Marvel’s Spider-Man: Miles Morales', 'img/2022/marvel_s_spider_man_miles_morales.webp'],
+  [2022, 'LEGO® Star Wars™: The Skywalker Saga', 'img/2022/lego_star_wars_the_skywalker_saga.webp'],
+];
+
+test('tricky game names resolve to the real files in img/', () => {
+  PINNED.forEach(([year, name, file]) => {
+    assert.ok(existsOnDisk(file), `${file} is missing from the repo`);
+    assert.equal(resolveGameImage(year, name, existsOnDisk), file, name);
+    assert.equal(buildGameImageUrl(year, name), `/${file}`, name);
+  });
+});
+
+test('slugs keep "\'s" as "_s" and drop trademark symbols', () => {
+  assert.equal(slugifyGameName("Assassin's Creed® Odyssey"), 'assassin_s_creed_odyssey');
+  assert.equal(slugifyGameName('Apex Legends™'), 'apex_legends');
+  assert.equal(slugifyGameName('Rocket League®'), 'rocket_league');
+  assert.equal(slugifyGameName('Ori & the Blind Forest'), 'ori_and_the_blind_forest');
+  assert.equal(slugifyGameName('  '), '');
+});
+
+test('lookup tries every extension before moving to the next suffix', () => {
+  const candidates = listGameImageCandidates(2020, 'DOOM Eternal');
+  assert.deepEqual(candidates.slice(0, 5), [
+    'img/2020/doom_eternal.webp',
+    'img/2020/doom_eternal.jpg',
+    'img/2020/doom_eternal.jpeg',
+    'img/2020/doom_eternal.png',
+    'img/2020/doom_eternal_2.webp',
+  ]);
+  assert.equal(candidates[candidates.length - 1], 'img/2020/doom_eternal_5.png');
+  assert.deepEqual(listGameImageCandidates(2020, ''), []);
+
+  const only = (files) => (p) => files.includes(p);
+  assert.equal(
+    resolveGameImage(2020, 'DOOM Eternal', only(['img/2020/doom_eternal_2.webp', 'img/2020/doom_eternal.png'])),
+    'img/2020/doom_eternal.png'
+  );
+  assert.equal(
+    resolveGameImage(2020, 'DOOM Eternal', only(['img/2020/doom_eternal_3.jpg', 'img/2020/doom_eternal_2.png'])),
+    'img/2020/doom_eternal_2.png'
+  );
+  assert.equal(resolveGameImage(2020, 'DOOM Eternal', only([])), null);
+});
+
+test("a suffixed file named after another winner is that game's image, not an alternate", () => {
+  const only = (files) => (p) => files.includes(p);
+  const sequel = only(['img/2023/counter_strike_2.webp']);
+  const winners = ['counter_strike', 'counter_strike_2'];
+
+  assert.equal(resolveGameImage(2023, 'Counter-Strike', sequel, winners), null);
+  assert.equal(resolveGameImage(2023, 'Counter-Strike', sequel, new Set(winners)), null);
+  assert.equal(resolveGameImage(2023, 'Counter-Strike 2', sequel, winners), 'img/2023/counter_strike_2.webp');
+  // No sequel among the winners: still an alternate
+  assert.equal(resolveGameImage(2023, 'Counter-Strike', sequel, ['counter_strike']), 'img/2023/counter_strike_2.webp');
+
+  const manifest = { 2023: { counter_strike_2: { webp: { width: 460, height: 215 } } } };
+  assert.equal(buildGameImageUrl(2023, 'Counter-Strike', manifest, winners), PLACEHOLDER_URL);
+  assert.equal(buildGameImageUrl(2023, 'Counter-Strike 2', manifest, winners), '/img/2023/counter_strike_2.webp');
+
+  // Fill tool: slugs of every year, suffix matches reported
+  const docs = [
+    { year: 2023, awards: [{ winner: { game_name: 'Counter-Strike 2' }, nominees: [{ game_name: 'Counter-Strike' }] }] },
+    { year: 2024, awards: [{ winner: { game_name: 'DOOM Eternal' }, nominees: [] }] },
+  ];
+  const knownSlugs = collectWinnerSlugs(docs);
+  assert.deepEqual([...knownSlugs], ['counter_strike_2', 'doom_eternal']);
+
+  const [game, sequelGame] = [docs[0].awards[0].nominees[0], docs[0].awards[0].winner];
+  fillGame(2023, game, sequel, knownSlugs);
+  fillGame(2023, sequelGame, sequel, knownSlugs);
+  assert.equal(game.icon_url, PLACEHOLDER_URL);
+  assert.equal(sequelGame.icon_url, '/img/2023/counter_strike_2.webp');
+  assert.deepEqual(findSuffixedIcons(docs[0]), []);
+
+  fillGame(2024, docs[1].awards[0].winner, only(['img/2024/doom_eternal_2.png']), knownSlugs);
+  assert.deepEqual(findSuffixedIcons(docs[1]), [{ name: 'DOOM Eternal', iconUrl: '/img/2024/doom_eternal_2.png' }]);
+});
+
+test('every winner in data/*.json has an image and a matching game_id / icon_url', () => {
+  const files = fs.readdirSync(path.join(ROOT, 'data')).filter((f) => /^steam_awards_\d{4}\.json$/.test(f));
+  let checked = 0;
+
+  files.forEach((f) => {
+    const text = fs.readFileSync(path.join(ROOT, 'data', f), 'utf8');
+    if (!text.trim()) return;
+
+    const doc = JSON.parse(text);
+    doc.awards.forEach((award) => {
+      const { game_name: name, game_id: id, icon_url: icon } = award.winner;
+      const image = resolveGameImage(doc.year, name, existsOnDisk);
+      assert.ok(image, `${f}: no image for "${name}"`);
+      assert.equal(id, slugifyGameName(name), `${f}: game_id of "${name}"`);
+      assert.equal(icon, `/${image}`, `${f}: icon_url of "${name}"`);
+      checked++;
+    });
+  });
+
+  assert.ok(checked > 0);
+});
+
+test('fill tool writes the shared slug and falls back to the placeholder', () => {
+  const game = { game_id: 'assassins_creed_odyssey', game_name: "Assassin's Creed® Odyssey", icon_url: '' };
+  assert.equal(fillGame(2018, game, existsOnDisk), true);
+  assert.equal(game.game_id, 'assassin_s_creed_odyssey');
+  assert.equal(game.icon_url, '/img/2018/assassin_s_creed_odyssey.webp');
+  assert.equal(fillGame(2018, game, existsOnDisk), false);
+
+  const unknown = { game_name: 'Not A Real Game' };
+  fillGame(2018, unknown, existsOnDisk);
+  assert.equal(unknown.icon_url, PLACEHOLDER_URL);
+});
+
+test('image manifest lists every file in img/ with its format and size', () => {
+  // No variant directory: only what is committed under img/
+  const manifest = buildImageManifest(undefined, path.join(ROOT, 'test', 'no-such-dir'));
+
+  assert.deepEqual(manifest['2018'].assassin_s_creed_odyssey, { webp: { width: 460, height: 215 } });
+  assert.deepEqual(getManifestEntry(manifest, 'img/2024/elden_ring.webp'), { width: 616, height: 353 });
+  assert.equal(getManifestEntry(manifest, 'img/2024/elden_ring.png'), null);
+
+  PINNED.forEach(([year, name, file]) => {
+    assert.equal(buildGameImageUrl(year, name, manifest), `/${file}`, name);
+  });
+});
+
+test('manifest lookups follow the suffix / extension order and fall back to the placeholder', () => {
+  const manifest = {
+    2020: {
+      doom_eternal_2: { jpg: { width: 460, height: 215 } },
+      doom_eternal_3: { webp: null },
+    },
+  };
+
+  assert.equal(buildGameImageUrl(2020, 'DOOM Eternal', manifest), '/img/2020/doom_eternal_2.jpg');
+  assert.equal(buildGameImageUrl(2020, 'Half-Life: Alyx', manifest), PLACEHOLDER_URL);
+  assert.equal(buildGameImageUrl(2019, 'DOOM Eternal', manifest), PLACEHOLDER_URL);
+  assert.deepEqual(getManifestEntry(manifest, '/img/2020/doom_eternal_3.webp'), {});
+
+  // No manifest (unbundled app): plain WebP guess
+  assert.equal(buildGameImageUrl(2020, 'DOOM Eternal'), '/img/2020/doom_eternal.webp');
+});
+
+test('variant widths are capped at the source width and named after their source', () => {
+  assert.deepEqual(listVariantWidths(460), [160, 320, 460]);
+  assert.deepEqual(listVariantWidths(616), [160, 320, 616]);
+  assert.deepEqual(listVariantWidths(1024), [160, 320, 640]);
+  assert.deepEqual(listVariantWidths(120), [120]);
+  assert.deepEqual(listVariantWidths(null), []);
+
+  assert.equal(buildImageVariantPath('/img/2018/rocket_league.webp', 160, 'avif'), '/img/2018/rocket_league-160w.avif');
+  assert.equal(buildImageVariantPath('doom_eternal_2.jpg', 320, 'webp'), 'doom_eternal_2-320w.webp');
+});
+
+test('manifest attaches built variants to the file they were resized from', (t) => {
+  const variantDir = fs.mkdtempSync(path.join(os.tmpdir(), 'awardhub-variants-'));
+  t.after(() => fs.rmSync(variantDir, { recursive: true, force: true }));
+
+  fs.mkdirSync(path.join(variantDir, '2024'));
+  ['elden_ring-320w.avif', 'elden_ring-160w.avif', 'elden_ring-160w.webp', 'not_a_game-160w.webp', 'notes.txt'].forEach(
+    (f) => fs.writeFileSync(path.join(variantDir, '2024', f), '')
+  );
+
+  const manifest = buildImageManifest(undefined, variantDir);
+  assert.deepEqual(manifest['2024'].elden_ring.webp.variants, { avif: [160, 320], webp: [160] });
+  assert.equal(manifest['2024'].not_a_game, undefined);
+  assert.equal(manifest['2018'].rocket_league.webp.variants, undefined);
+});
@@ -0,0 +1,283 @@
+/* App modules (js/src/) imported straight into Node: the pure URL, data and search rules. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const ROOT = path.resolve(__dirname, '..');
+const load = (file) => import(pathToFileURL(path.join(ROOT, 'js/src', file)).href);
+
+const readYear = (year) => JSON.parse(fs.readFileSync(path.join(ROOT, `data/steam_awards_${year}.json`), 'utf8'));
+
+test('links build the canonical URLs for every page', async () => {
+  const links = await load('links.js');
+
+  assert.equal(links.buildYearUrl(2024), '/steamawards/2024/');
+  assert.equal(links.buildAwardUrl(2024, 'best_soundtrack'), '/steamawards/2024/best_soundtrack/');
+  assert.equal(links.buildAwardUrl(2024, ''), '/steamawards/2024/');
+  assert.equal(links.buildAwardCategoryUrl('best_soundtrack'), '/steamawards/award/best_soundtrack/');
+  assert.equal(links.buildGameUrl("Assassin's Creed® Odyssey"), '/steamawards/game/assassin_s_creed_odyssey/');
+  assert.equal(links.buildGameUrl(''), '');
+  assert.equal(links.buildSearchUrl('  elden ring '), '/steamawards/search/?q=elden%20ring');
+  assert.equal(links.buildSearchUrl(''), '/steamawards/search/');
+  assert.equal(links.buildCompareUrl([2024, 2022]), '/steamawards/compare/?years=2022,2024');
+  assert.equal(links.buildCompareUrl([]), '/steamawards/compare/');
+  assert.deepEqual(links.parseCompareYears('2024,2022, 2024,x,20222'), [2022, 2024]);
+  assert.deepEqual(links.parseCompareYears(null), []);
+});
+
+test('Read Post links come from the BlogUrl column, then the post index', async () => {
+  const links = await load('links.js');
+  const data = await load('data.js');
+
+  assert.equal(links.buildBlogUrl('Black Myth: Wukong', 2024), 'https://blog.awardhub.net/steamawards/2024/black_myth_wukong/');
+  assert.equal(links.resolveBlogUrl('Balatro', 2024, '', { 2024: {} }), '');
+
+  const { awards } = data.buildYearDataFromRows(2024, [
+    {
+      Year: 2024,
+      Title: 'Game of the Year',
+      Winner: 'Black Myth: Wukong',
+      BlogUrl: 'https://blog.awardhub.net/2024/12/wukong.html',
+    },
+    { Year: 2024, Title: 'Best Soundtrack', Winner: 'Final Fantasy VII Rebirth' },
+  ]);
+  assert.equal(awards[0].winner.blogger_url, 'https://blog.awardhub.net/2024/12/wukong.html');
+  // No index outside webpack: the conventional URL
+  assert.equal(awards[1].winner.blogger_url, links.buildBlogUrl('Final Fantasy VII Rebirth', 2024));
+
+  const [row] = data.rowsFromStaticYearJson({
+    year: 2024,
+    awards: [{ award_name: 'Best Soundtrack', winner: { game_name: 'Balatro', blogger_url: 'https://example.com/balatro' } }],
+  });
+  assert.equal(row.BlogUrl, 'https://example.com/balatro');
+});
+
+test('winners carry Steam links from the SteamAppId column or the lookup table', async () => {
+  const links = await load('links.js');
+  const data = await load('data.js');
+
+  const table = { elden_ring: 1245620 };
+  assert.equal(links.resolveSteamLinks('ELDEN RING', '', table).hubUrl, 'https://steamcommunity.com/app/1245620/');
+  assert.equal(links.resolveSteamLinks('ELDEN RING', '').storeUrl, '');
+
+  const { awards } = data.buildYearDataFromRows(2024, [
+    {
+      Year: 2024,
+      Title: 'Game of the Year',
+      Winner: 'Black Myth: Wukong',
+      SteamAppId: 'https://store.steampowered.com/app/2358720/',
+    },
+    { Year: 2024, Title: 'Best Soundtrack', Winner: 'Final Fantasy VII Rebirth' },
+  ]);
+  assert.equal(awards[0].winner.steam_app_id, '2358720');
+  assert.equal(awards[0].winner.steam_url, 'https://store.steampowered.com/app/2358720/');
+  assert.equal(awards[0].winner.steam_hub_url, 'https://steamcommunity.com/app/2358720/');
+  assert.equal(awards[1].winner.steam_url, '');
+});
+
+test('links normalize paths and never throw on malformed segments', async () => {
+  const links = await load('links.js');
+
+  assert.equal(links.normalizePath('steamawards/2024///'), '/steamawards/2024');
+  assert.equal(links.normalizePath(''), '/');
+  assert.equal(links.decodePathSegment('best%20soundtrack'), 'best soundtrack');
+  assert.equal(links.decodePathSegment('%E0%A4%A'), '%E0%A4%A');
+  assert.equal(links.decodePathSegment(undefined), '');
+});
+
+test('static year files go through the same row pipeline as the sheet', async () => {
+  const data = await load('data.js');
+  const doc = readYear(2024);
+
+  const rows = data.rowsFromStaticYearJson(doc);
+  assert.equal(rows.length, doc.awards.length);
+  assert.ok(rows.every((r) => r.Year === 2024));
+
+  const year = data.buildYearDataFromRows(2024, rows);
+  assert.equal(year.awards.length, doc.awards.length);
+  doc.awards.forEach((a) => {
+    const award = year.awards.find((x) => x.award_id === a.award_id);
+    assert.ok(award, a.award_id);
+    assert.equal(award.winner.game_name, a.winner.game_name);
+  });
+
+  assert.deepEqual(data.rowsFromStaticYearJson({}), []);
+});
+
+test('row diffs report the years that changed', async () => {
+  const data = await load('data.js');
+  const rows2023 = data.rowsFromStaticYearJson(readYear(2023));
+  const rows2024 = data.rowsFromStaticYearJson(readYear(2024));
+
+  const all = [...rows2023, ...rows2024];
+  assert.deepEqual(data.diffRowsByYear(all, all), { years: [], yearsChanged: false });
+  assert.deepEqual(data.diffRowsByYear(all, [...rows2023, ...rows2024.slice(1)]), {
+    years: [2024],
+    yearsChanged: false,
+  });
+  assert.deepEqual(data.diffRowsByYear(rows2024, all), { years: [2023], yearsChanged: true });
+});
+
+test('search ranks winners across years and escapes highlighted text', async () => {
+  const data = await load('data.js');
+  const search = await load('search.js');
+  const rows = [2022, 2023, 2024].flatMap((y) => data.rowsFromStaticYearJson(readYear(y)));
+
+  assert.equal(search.normalizeSearchText("Baldur's Gate 3™ – Deluxe"), 'baldurs gate 3 deluxe');
+
+  const groups = search.searchAllAwardsFromRows(rows, 'ragnarok');
+  assert.ok(groups.length > 0);
+  assert.ok(groups.every((g) => g.results.every((r) => /Ragnar/i.test(r.award.winner.game_name))));
+  assert.deepEqual(search.searchAllAwardsFromRows(rows, '  '), []);
+
+  assert.equal(search.highlightMatches('<b>War</b>', 'war'), '&lt;b&gt;<mark>War</mark>&lt;/b&gt;');
+});
+
+test('search ignores trademarks, dashes, accents, spacing and small typos', async () => {
+  const data = await load('data.js');
+  const search = await load('search.js');
+  const rows = [2019, 2021, 2022, 2024].flatMap((y) => data.rowsFromStaticYearJson(readYear(y)));
+  const winners = (query) =>
+    search.searchAllAwardsFromRows(rows, query).flatMap((g) => g.results.map((r) => `${r.year} ${r.award.winner.game_name}`));
+
+  assert.ok(winners('sekiro shadows').includes('2019 Sekiro™: Shadows Die Twice - GOTY Edition'));
+  assert.ok(winners('nioh 2 complete').includes('2021 Nioh 2 – The Complete Edition'));
+  assert.ok(winners('ragnarök').includes('2024 God of War Ragnarok'));
+  const accented = [{ award_id: 'x', award_name: 'Best Game', winner: { game_name: 'Pokémon Légendes' } }];
+  assert.equal(search.filterAwards(accented, 'pokemon legendes').filteredAwards.length, 1);
+  assert.ok(winners('elden rign').some((w) => w.endsWith('ELDEN RING')), 'a swapped pair of letters is one typo');
+  assert.ok(winners('eldne ring').some((w) => w.endsWith('ELDEN RING')));
+
+  const { awards } = data.buildYearDataFromRows(2024, rows);
+  assert.equal(search.filterAwards(awards, 'gameoftheyear').filteredAwards[0].award_id, 'game_of_the_year');
+  assert.equal(search.filterAwards(awards, 'game of the yaer').filteredAwards[0].award_id, 'game_of_the_year');
+
+  // Relevance, not source order: the exact category beats the one that only contains it
+  const ranked = search.filterAwards(awards, 'game of the year').filteredAwards.map((a) => a.award_id);
+  assert.deepEqual(ranked.slice(0, 2), ['game_of_the_year', 'vr_game_of_the_year']);
+  const vrFirst = search.filterAwards([...awards].reverse(), 'game of the year').filteredAwards[0];
+  assert.equal(vrFirst.award_id, 'game_of_the_year');
+
+  assert.equal(search.isWithinEditDistance('rign', 'ring', 1), true);
+  assert.equal(search.isWithinEditDistance('ab', 'ba', 1), true);
+  assert.equal(search.isWithinEditDistance('abcd', 'badc', 1), false);
+  assert.equal(search.isWithinEditDistance('abcd', 'badc', 2), true);
+  assert.equal(search.isWithinEditDistance('wukong', 'balatro', 2), false);
+});
+
+test('highlights mark the original characters of normalized, squashed and mistyped hits', async () => {
+  const search = await load('search.js');
+  const hl = search.highlightMatches;
+
+  assert.equal(hl('God of War Ragnarök', 'ragnarok'), 'God of War <mark>Ragnarök</mark>');
+  assert.equal(hl('God of War Ragnaro\u0308k', 'ragnarok'), 'God of War <mark>Ragnaro\u0308k</mark>');
+  assert.equal(hl('Sekiro™: Shadows Die Twice', 'sekiro shadows'), '<mark>Sekiro™: Shadows</mark> Die Twice');
+  assert.equal(hl('Sekiro™: Shadows Die Twice', 'sekiro'), '<mark>Sekiro</mark>™: Shadows Die Twice');
+  assert.equal(hl('Nioh 2 – The Complete Edition', 'nioh 2 complete'), '<mark>Nioh</mark> <mark>2</mark> – The <mark>Complete</mark> Edition');
+  assert.equal(hl('Game of the Year', 'gameoftheyear'), '<mark>Game of the Year</mark>');
+  assert.equal(hl('ELDEN RING', 'elden rign'), '<mark>ELDEN</mark> <mark>RING</mark>');
+  assert.equal(hl("Baldur's Gate 3", 'baldurs'), '<mark>Baldur&#39;s</mark> Gate 3');
+  assert.equal(hl('Hi-Fi Rush', 'zzzz'), 'Hi-Fi Rush');
+
+  ["Baldur's Gate 3™ – Deluxe", '  --Hi-Fi  Rush!! ', 'ﬁre & ice', 'Ragnaro\u0308k', ''].forEach((s) => {
+    assert.equal(search.mapSearchText(s).norm, search.normalizeSearchText(s));
+  });
+});
+
+test('duplicate award rows collapse and nominees skip the winner and repeats', async () => {
+  const data = await load('data.js');
+  const rows = [
+    { Year: 2024, Title: 'Best Soundtrack', Winner: 'Final Fantasy VII Rebirth', Nominees: 'Balatro | FINAL FANTASY VII REBIRTH' },
+    { Year: 2024, Title: 'Best Soundtrack', Winner: 'Final Fantasy VII Rebirth' },
+    { Year: 2024, Type: 'Nominee', Title: 'Best Soundtrack', Nominee: 'Balatro' },
+    { Year: 2024, Type: 'Nominee', Title: 'Best Soundtrack', Nominee: 'Hades II' },
+    { Year: 2023, Title: 'Best Soundtrack', Winner: 'Hi-Fi Rush' },
+  ];
+
+  const { awards } = data.buildYearDataFromRows(2024, rows);
+  assert.equal(awards.length, 1);
+  assert.deepEqual(awards[0].nominees.map((n) => n.game_name), ['Balatro', 'Hades II']);
+  assert.deepEqual(data.getAvailableYearsFromRows(rows), [2024, 2023]);
+});
+
+test('filterAwards maps every filtered award back to its original index', async () => {
+  const data = await load('data.js');
+  const search = await load('search.js');
+  const { awards } = data.buildYearDataFromRows(2024, data.rowsFromStaticYearJson(readYear(2024)));
+
+  const all = search.filterAwards(awards, '  ');
+  assert.equal(all.filteredAwards, awards);
+  assert.deepEqual(all.indexMap, awards.map((_, i) => i));
+
+  const out = search.filterAwards(awards, 'soundtrack');
+  assert.ok(out.filteredAwards.length > 0 && out.filteredAwards.length < awards.length);
+  out.indexMap.forEach((original, i) => assert.equal(awards[original], out.filteredAwards[i]));
+  assert.equal(out.filteredAwards[0].award_id, 'best_soundtrack');
+
+  assert.deepEqual(search.filterAwards(awards, 'zzzz'), { filteredAwards: [], indexMap: [] });
+});
+
+test('year comparison lines categories up and keeps the ones a year lacks', async () => {
+  const data = await load('data.js');
+  const rows = [
+    { Year: 2022, Title: 'Game of the Year', Winner: 'ELDEN RING' },
+    { Year: 2022, Title: 'Labor of Love', Winner: 'Cyberpunk 2077' },
+    { Year: 2024, Title: 'Game of the Year', Winner: 'Black Myth: Wukong' },
+    { Year: 2024, Title: 'Best Soundtrack', Winner: 'Final Fantasy VII Rebirth' },
+  ];
+
+  const out = data.compareYearsFromRows([2022, 2024], rows);
+  assert.deepEqual(
+    out.map((c) => [c.award_id, c.awards.map((a) => a && a.winner.game_name), c.years]),
+    [
+      ['game_of_the_year', ['ELDEN RING', 'Black Myth: Wukong'], [2022, 2024]],
+      ['best_soundtrack', [null, 'Final Fantasy VII Rebirth'], [2024]],
+      ['labor_of_love', ['Cyberpunk 2077', null], [2022]],
+    ]
+  );
+  assert.deepEqual(out[0].awards[1], data.buildYearDataFromRows(2024, rows).awards[0], 'cells are buildYearDataFromRows awards');
+});
+
+test('route parts and history URLs come from the current location', async (t) => {
+  const links = await load('links.js');
+  const router = await load('router.js');
+
+  t.after(() => delete globalThis.location);
+  globalThis.location = new URL('https://games.awardhub.net/steamawards/2024/best_soundtrack?q=x');
+  assert.deepEqual(links.parsePathRoute(), ['steamawards', '2024', 'best_soundtrack']);
+
+  assert.equal(router.buildHistoryUrl('/steamawards/search?q=elden'), '/steamawards/search/?q=elden');
+  assert.equal(router.buildHistoryUrl('/steamawards/2024#featured'), '/steamawards/2024/#featured');
+  assert.equal(router.buildHistoryUrl(''), '/');
+});
+
+test('route table matches typed and optional params, everything else is not found', async () => {
+  const { matchRoute } = await load('router.js');
+  const match = (p) => {
+    const m = matchRoute(p);
+    return m && { path: m.route.path, params: m.params };
+  };
+
+  assert.deepEqual(match('/steamawards/2024/'), { path: '/steamawards/:year<int>/:awardId?/', params: { year: 2024 } });
+  assert.deepEqual(match('/steamawards/2024/best%20soundtrack'), {
+    path: '/steamawards/:year<int>/:awardId?/',
+    params: { year: 2024, awardId: 'best soundtrack' },
+  });
+  assert.deepEqual(match('/steamawards/game/elden_ring/').params, { slug: 'elden_ring' });
+  assert.equal(match('/steamawards/search/').path, '/steamawards/search/');
+  assert.equal(match('/steamawards/compare/').path, '/steamawards/compare/');
+  assert.equal(match('/').path, '/');
+
+  assert.equal(match('/steamawards/twenty/'), null);
+  assert.equal(match('/steamawards/game/'), null);
+  assert.equal(match('/steamawards/2024/best_soundtrack/extra/'), null);
+  assert.equal(match('/not-a-page/'), null);
+
+  const routes = [{ path: '/a/:n<int>/' }, { path: '/a/:name/' }];
+  assert.deepEqual(matchRoute('/a/7', routes), { route: routes[0], params: { n: 7 } });
+  assert.deepEqual(matchRoute('/a/x', routes), { route: routes[1], params: { name: 'x' } });
+  assert.throws(() => matchRoute('/b/', [{ path: '/b/:x<float>/' }]), /Unknown param type "float"/);
+});
@@ -0,0 +1,84 @@
+/* tools/prerender.js: the app modules (js/src/) rendered from the local data into static pages. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { PLACEHOLDER_URL } = require('../js/shared/images.js');
+const { loadApp, listRoutes, renderPageHtml, routeToFile, prerenderRoutes } = require('../tools/prerender.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+function jsonLdOf(html) {
+  const m = /<script type="application\/ld\+json" data-page-meta>([\s\S]*?)<\/script>/.exec(html);
+  return m && JSON.parse(m[1]);
+}
+
+test('every year, award, category and game with data gets a route', async () => {
+  const routes = await listRoutes(await loadApp());
+  const years = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/index.json'), 'utf8')).years;
+
+  assert.equal(routes[0], '/steamawards/');
+  years
+    .filter((y) => fs.readFileSync(path.join(ROOT, `data/steam_awards_${y}.json`), 'utf8').trim())
+    .forEach((y) => assert.ok(routes.includes(`/steamawards/${y}/`), `missing ${y}`));
+  assert.ok(routes.includes('/steamawards/2024/best_soundtrack/'));
+  assert.ok(routes.includes('/steamawards/award/best_soundtrack/'));
+  assert.ok(routes.includes('/steamawards/game/elden_ring/'));
+  assert.equal(new Set(routes).size, routes.length);
+});
+
+test('award permalink page carries its title, meta tags, JSON-LD and markup', async () => {
+  const [page] = await prerenderRoutes({ routes: ['/steamawards/2024/best_soundtrack/'] });
+  const html = renderPageHtml(template, page);
+
+  assert.equal(routeToFile(page.path), 'steamawards/2024/best_soundtrack/index.html');
+  assert.match(html, /<title>Best Soundtrack 2024: Red Dead Redemption \| AwardHub<\/title>/);
+  assert.match(html, /<link rel="canonical" href="https:\/\/games\.awardhub\.net\/steamawards\/2024\/best_soundtrack\/"/);
+  assert.match(html, /<meta property="og:image" content="https:\/\/games\.awardhub\.net\/img\/2024\/red_dead_redemption\.webp"/);
+  assert.equal((html.match(/name="description"/g) || []).length, 1, 'index.html defaults are replaced, not duplicated');
+
+  const jsonLd = jsonLdOf(html);
+  assert.equal(jsonLd['@type'], 'ItemList');
+  assert.ok(jsonLd.itemListElement.some((x) => x.name === 'Best Soundtrack' && x.item.name === 'Red Dead Redemption'));
+
+  assert.match(html, /<section id="app" class="app" data-prerendered="\/steamawards\/2024\/best_soundtrack\/">/);
+  assert.match(page.html, /class="featured__winnerName"[^>]*>Red Dead Redemption</);
+  // data/steam_app_ids.json knows it, data/blog_posts.json has no post for it
+  assert.match(page.html, /href="https:\/\/store\.steampowered\.com\/app\/2668510\/"/);
+  assert.match(page.html, /class="btn btn--primary btn--disabled"\s+title="Post not available"/);
+  // data/link_providers.json, default market
+  assert.match(page.html, /href="https:\/\/www\.amazon\.com\/s\?k=Red%20Dead%20Redemption&amp;tag=ahgames-20"/);
+});
+
+test('game and category pages describe what they list', async () => {
+  const [game, category] = await prerenderRoutes({
+    routes: ['/steamawards/game/elden_ring/', '/steamawards/award/best_soundtrack/'],
+  });
+
+  assert.equal(game.meta.title, 'ELDEN RING – Steam Awards | AwardHub');
+  assert.equal(jsonLdOf(game.headTags)['@type'], 'VideoGame');
+  assert.ok(jsonLdOf(game.headTags).award.length > 0);
+
+  assert.equal(category.meta.title, 'Best Soundtrack – Steam Awards winners | AwardHub');
+  assert.equal(category.meta.noindex, false);
+});
+
+test('winners and nominees without an image in img/<year>/ get the Steam capsule', async () => {
+  const { data } = await loadApp();
+  const capsule = 'https://cdn.akamai.steamstatic.com/steam/apps/1245620/header.jpg';
+  const [goty, labor] = data.buildYearDataFromRows(2018, [
+    { Year: 2018, Title: 'Game of the Year', Winner: 'ELDEN RING', Nominees: 'The Witcher 3: Wild Hunt' },
+    { Year: 2018, Title: 'Labor of Love', Winner: 'The Witcher 3: Wild Hunt', Nominees: 'ELDEN RING; Unheard Of Game' },
+  ]).awards;
+
+  assert.equal(goty.winner.icon_url, capsule);
+  assert.equal(goty.nominees[0].icon_url, '/img/2018/the_witcher_3_wild_hunt.webp');
+  assert.deepEqual(labor.nominees.map((n) => n.icon_url), [capsule, PLACEHOLDER_URL]);
+});
+
+test('legacy paths are refused instead of prerendering a redirect', async () => {
+  await assert.rejects(prerenderRoutes({ routes: ['/steamawards/award/bestsoundtrack/'] }), /redirected to/);
+});
@@ -0,0 +1,110 @@
+/* Store link providers: shared rules (js/shared/providers.js) and tools/link_providers.js. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fillUrlTemplate, pickMarket, buildProviderLinks, listMarkets } = require('../js/shared/providers.js');
+const { checkLinkProviders, loadLinkProviders } = require('../tools/link_providers.js');
+
+const AMAZON = {
+  id: 'amazon',
+  label: 'Buy on Amazon',
+  style: 'accent',
+  urls: ['https://{host}/s?k={query}&tag={tag}', 'https://{host}/s?k={query}'],
+  defaultMarket: 'us',
+  markets: {
+    us: { label: 'United States', host: 'www.amazon.com', tag: 'ahgames-20', locales: ['en-US', 'en'] },
+    ca: { label: 'Canada', host: 'www.amazon.ca', tag: '', locales: ['en-CA', 'fr-CA'] },
+    uk: { label: 'United Kingdom', host: 'www.amazon.co.uk', tag: 'ahgames-21', locales: ['en-GB'] },
+    de: { label: 'Germany', host: 'www.amazon.de', tag: '', locales: ['de'] },
+    fr: { host: 'www.amazon.fr', locales: ['fr'] },
+  },
+};
+const STEAM = {
+  id: 'steam',
+  label: 'View on Steam',
+  urls: ['{steamUrl}', 'https://store.steampowered.com/search/?term={query}'],
+};
+
+test('templates fill only when every placeholder has a value', () => {
+  assert.equal(fillUrlTemplate('https://{host}/s?k={query}', { host: 'www.amazon.de', query: 'Balatro' }), 'https://www.amazon.de/s?k=Balatro');
+  assert.equal(fillUrlTemplate('https://{host}/s?k={query}&tag={tag}', { host: 'www.amazon.de', query: 'Balatro', tag: '' }), '');
+  assert.equal(fillUrlTemplate('{steamUrl}', {}), '');
+  assert.equal(fillUrlTemplate('{steamUrl}', { steamUrl: 'javascript:alert(1)' }), '');
+});
+
+test('the market follows the override, then the locales, then the default', () => {
+  assert.equal(pickMarket(AMAZON, ['en-GB', 'en']), 'uk');
+  assert.equal(pickMarket(AMAZON, ['de-AT']), 'de');
+  assert.equal(pickMarket(AMAZON, ['fr-CA', 'fr']), 'ca', 'an exact locale beats the language');
+  assert.equal(pickMarket(AMAZON, ['ja-JP']), 'us');
+  assert.equal(pickMarket(AMAZON, ['ja-JP', 'fr']), 'fr', 'later locales are tried before the default');
+  assert.equal(pickMarket(AMAZON, ['en_gb']), 'uk');
+  assert.equal(pickMarket(AMAZON, ['en-GB'], 'de'), 'de');
+  assert.equal(pickMarket(AMAZON, ['en-GB'], 'jp'), 'uk', 'an unknown override is ignored');
+  assert.equal(pickMarket(STEAM, ['en-GB'], 'de'), '');
+});
+
+test('one link per provider, using the first template that fills', () => {
+  const game = { name: "Baldur's Gate 3", slug: 'baldurs_gate_3' };
+
+  assert.deepEqual(buildProviderLinks([AMAZON, STEAM], game, { locales: ['en-GB'] }), [
+    { id: 'amazon', label: 'Buy on Amazon', style: 'accent', market: 'uk', url: 'https://www.amazon.co.uk/s?k=Baldur%27s%20Gate%203&tag=ahgames-21' },
+    { id: 'steam', label: 'View on Steam', style: '', market: '', url: 'https://store.steampowered.com/search/?term=Baldur%27s%20Gate%203' },
+  ]);
+
+  // No affiliate tag in Germany: the untagged template
+  const [de, steam] = buildProviderLinks([AMAZON, STEAM], { ...game, steamUrl: 'https://store.steampowered.com/app/1086940/' }, { locales: ['de-DE'] });
+  assert.equal(de.url, 'https://www.amazon.de/s?k=Baldur%27s%20Gate%203');
+  assert.equal(steam.url, 'https://store.steampowered.com/app/1086940/');
+
+  assert.deepEqual(buildProviderLinks([AMAZON, STEAM], { name: '' }), []);
+});
+
+test('markets are listed once across providers, in config order', () => {
+  const other = { id: 'other', label: 'Other', urls: ['https://{host}/?q={query}'], markets: { de: { host: 'x.de', locales: ['de'] }, jp: { host: 'x.jp', locales: ['ja'] } } };
+  assert.deepEqual(listMarkets([AMAZON, STEAM, other]).map((m) => [m.id, m.label]), [
+    ['us', 'United States'],
+    ['ca', 'Canada'],
+    ['uk', 'United Kingdom'],
+    ['de', 'Germany'],
+    ['fr', 'FR'],
+    ['jp', 'JP'],
+  ]);
+});
+
+test('the config is checked before it is baked into the bundle', () => {
+  assert.deepEqual(checkLinkProviders({ providers: [AMAZON, STEAM] }), []);
+  assert.deepEqual(checkLinkProviders([]), ['expected { "providers": [...] }']);
+
+  const errors = checkLinkProviders({
+    providers: [
+      STEAM,
+      { ...STEAM, label: '' },
+      { id: 'GOG Store', label: 'GOG', urls: ['https://www.gog.com/?q={name}'] },
+      { id: 'humble', label: 'Humble', style: 'loud', urls: ['/search?q={query}'] },
+      { ...AMAZON, defaultMarket: 'jp', markets: { us: { host: 'amazon com', locales: 'en-US' } } },
+    ],
+  });
+  assert.deepEqual(errors, [
+    'providers[1]: duplicate id "steam"',
+    'providers[1]: needs a label',
+    'providers[2]: id "GOG Store" must be lowercase letters, digits, "-" or "_"',
+    'providers[2].urls[0]: unknown placeholder {name}',
+    'providers[3]: style must be one of primary, accent',
+    'providers[3].urls[0]: "/search?q={query}" does not make an absolute http(s) URL',
+    'providers[4].markets.us: host "amazon com" is not a host name',
+    'providers[4].markets.us: locales must be a list of language tags ("en-GB", "de")',
+    'providers[4]: defaultMarket "jp" is not one of its markets',
+  ]);
+});
+
+test('data/link_providers.json keeps the US Amazon tag as the default', () => {
+  const providers = loadLinkProviders();
+  const links = buildProviderLinks(providers, { name: 'Balatro', slug: 'balatro' });
+
+  assert.equal(links[0].id, 'amazon');
+  assert.equal(links[0].url, 'https://www.amazon.com/s?k=Balatro&tag=ahgames-20');
+  assert.ok(listMarkets(providers).some((m) => m.id === 'uk'));
+  assert.ok(links.some((l) => l.id === 'gog'));
+});
@@ -0,0 +1,164 @@
+/* Router lifecycle in jsdom: superseded navigations and scroll restoration.
+ *
+ * fetch is stubbed and answers each Sheet API request after the next delay in
+ * `delays`, so a test can make an earlier request resolve last. Like the real one it
+ * rejects with an AbortError once its signal aborts.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const { openBrowser } = require('./helpers/browser.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const load = (file) => import(pathToFileURL(path.join(ROOT, 'js/src', file)).href);
+
+const ROWS = [
+  { Year: 2024, Title: 'Game of the Year', Winner: 'Black Myth: Wukong' },
+  { Year: 2024, Title: 'Best Soundtrack', Winner: 'Final Fantasy VII Rebirth' },
+  { Year: 2023, Title: 'Game of the Year', Winner: "Baldur's Gate 3" },
+];
+
+const delays = [];
+const signals = [];
+const painted = [];
+const scrolls = [];
+let dom;
+let router;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const heroTitle = () => dom.window.document.querySelector('#app .hero__title').textContent.trim();
+
+test.before(async () => {
+  dom = await openBrowser(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), '/steamawards/');
+  const { window } = dom;
+
+  window.scrollTo = (x, y) => {
+    scrolls.push(y);
+    window.scrollY = y;
+  };
+  window.scrollY = 0;
+
+  globalThis.fetch = (url, options = {}) => {
+    const { signal } = options;
+    signals.push(signal);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => resolve({ ok: true, status: 200, json: async () => ({ ok: true, data: ROWS }) }),
+        delays.shift() || 0
+      );
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      });
+    });
+  };
+
+  // Every paint of #app, in order
+  new window.MutationObserver(() => {
+    const title = window.document.querySelector('#app .hero__title');
+    if (title) painted.push(title.textContent.trim());
+  }).observe(window.document.getElementById('app'), { childList: true });
+
+  router = await load('router.js');
+  await load('main.js'); // popstate listener; the app is not booted
+});
+
+test.after(() => dom.window.close());
+
+test('a superseded navigation never paints, even when its data arrives last', async () => {
+  // The first load (home) is slow, the second (year page) fast.
+  delays.push(80, 0);
+  const home = router.route();
+  const year = router.navigate('/steamawards/2023/');
+
+  await Promise.all([home, year]);
+  await wait(120);
+
+  assert.equal(location.pathname, '/steamawards/2023/');
+  assert.equal(heroTitle(), 'Steam Game Awards 2023');
+  assert.deepEqual(painted, ['Steam Game Awards 2023']);
+
+  // The home request was cancelled, and no fallback source was tried for it
+  assert.equal(signals.length, 2);
+  assert.equal(signals[0].aborted, true);
+  assert.equal(signals[1].aborted, false);
+});
+
+test('new pages start at the top and back/forward restore where each page was left', async () => {
+  await router.navigate('/steamawards/');
+  window.scrollTo(0, 640);
+
+  scrolls.length = 0;
+  await router.navigate('/steamawards/2024/');
+  assert.deepEqual(scrolls, [0]);
+  window.scrollTo(0, 120);
+
+  scrolls.length = 0;
+  history.back();
+  await wait(30);
+  assert.equal(location.pathname, '/steamawards/');
+  assert.deepEqual(scrolls, [640]);
+
+  scrolls.length = 0;
+  history.forward();
+  await wait(30);
+  assert.equal(location.pathname, '/steamawards/2024/');
+  assert.deepEqual(scrolls, [120]);
+});
+
+test('URLs rewritten or pushed by a view keep their scroll position', async () => {
+  // Canonicalized by the compare page
+  await router.navigate('/steamawards/compare/?years=2024,2023');
+  assert.equal(location.search, '?years=2023,2024');
+  window.scrollTo(0, 500);
+  await router.navigate('/steamawards/');
+
+  scrolls.length = 0;
+  history.back();
+  await wait(30);
+  assert.equal(location.search, '?years=2023,2024');
+  assert.deepEqual(scrolls, [500]);
+
+  // Pushed by an award chip
+  await router.navigate('/steamawards/2024/');
+  dom.window.document.querySelectorAll('#awardCarousel .awardChip')[1].click();
+  assert.equal(location.pathname, '/steamawards/2024/best_soundtrack/');
+  window.scrollTo(0, 300);
+  await router.navigate('/steamawards/');
+
+  scrolls.length = 0;
+  history.back();
+  await wait(30);
+  assert.equal(location.pathname, '/steamawards/2024/best_soundtrack/');
+  assert.deepEqual(scrolls, [300]);
+});
+
+test('cached rows render at once, without the loading state', async () => {
+  const { document } = dom.window;
+  const states = [];
+  const observer = new dom.window.MutationObserver(() => states.push(document.getElementById('app').textContent.trim()));
+  observer.observe(document.getElementById('app'), { childList: true });
+
+  const requests = signals.length;
+  const done = router.navigate('/steamawards/2023/');
+  assert.equal(heroTitle(), 'Steam Game Awards 2023', 'painted before navigate() resolves');
+  await done;
+  await wait(0);
+  observer.disconnect();
+
+  assert.equal(signals.length, requests);
+  assert.ok(states.length > 0 && !states.includes('Loading…'));
+});
+
+test('query strings reach the view and unknown paths get the not-found page', async () => {
+  await router.navigate('/steamawards/search?q=wukong');
+  assert.equal(location.pathname + location.search, '/steamawards/search/?q=wukong');
+  assert.equal(dom.window.document.querySelector('.gameCard__name').textContent, 'Black Myth: Wukong');
+
+  await router.navigate('/steamawards/twenty-twenty/');
+  assert.equal(heroTitle(), '404');
+});
@@ -0,0 +1,87 @@
+/* Steam app IDs: shared URL rules (js/shared/steam.js) and tools/steam_app_ids.js. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { slugifyGameName } = require('../js/shared/images.js');
+const { parseSteamAppId, resolveSteamAppId, buildSteamLinks } = require('../js/shared/steam.js');
+const { loadSteamAppIds, createAppMatcher, resolveMissingAppIds } = require('../tools/steam_app_ids.js');
+const { loadDataFiles } = require('../tools/validate_data.js');
+
+const APPS = [
+  { appid: 1086940, name: "Baldur's Gate 3" },
+  { appid: 1245620, name: 'ELDEN RING' },
+  { appid: 2778580, name: 'ELDEN RING NIGHTREIGN' },
+  { appid: 1174180, name: 'Red Dead Redemption 2' },
+  { appid: 2668510, name: 'Red Dead Redemption' },
+  { appid: 10, name: 'Counter-Strike' },
+  { appid: 730, name: 'Counter-Strike 2' },
+  { appid: 500, name: 'Left 4 Dead' },
+  { appid: 501, name: 'Left 4 Dead' },
+];
+
+test('app IDs are read from numbers and store / community URLs', () => {
+  assert.equal(parseSteamAppId(2358720), '2358720');
+  assert.equal(parseSteamAppId(' 730 '), '730');
+  assert.equal(parseSteamAppId('https://store.steampowered.com/app/2358720/Black_Myth_Wukong/'), '2358720');
+  assert.equal(parseSteamAppId('https://steamcommunity.com/app/730'), '730');
+  assert.equal(parseSteamAppId('https://example.com/app/730/'), '');
+  assert.equal(parseSteamAppId('0'), '');
+  assert.equal(parseSteamAppId(''), '');
+});
+
+test('store, hub and capsule URLs come from the explicit ID, else the table', () => {
+  const table = { elden_ring: 1245620 };
+  assert.equal(resolveSteamAppId('elden_ring', { table }), '1245620');
+  assert.equal(resolveSteamAppId('elden_ring', { id: '2778580', table }), '2778580');
+  assert.equal(resolveSteamAppId('balatro', { table }), '');
+
+  assert.deepEqual(buildSteamLinks('1245620'), {
+    appId: '1245620',
+    storeUrl: 'https://store.steampowered.com/app/1245620/',
+    hubUrl: 'https://steamcommunity.com/app/1245620/',
+    capsuleUrl: 'https://cdn.akamai.steamstatic.com/steam/apps/1245620/header.jpg',
+  });
+  assert.deepEqual(buildSteamLinks(''), { appId: '', storeUrl: '', hubUrl: '', capsuleUrl: '' });
+});
+
+test('the lookup table in data/ is keyed by winner slugs', () => {
+  const table = loadSteamAppIds();
+  const winners = new Set();
+  loadDataFiles().forEach(({ doc }) => (doc ? doc.awards : []).forEach((a) => winners.add(slugifyGameName(a.winner.game_name))));
+
+  Object.keys(table).forEach((slug) => assert.ok(winners.has(slug), `${slug} is not a winner`));
+  assert.equal(table.elden_ring, 1245620);
+
+  // Every winning game has one; Best Developer goes to a studio
+  assert.deepEqual([...winners].filter((slug) => !table[slug]), ['cd_projekt_red']);
+});
+
+test('fuzzy matching accepts one clear app and leaves close calls for review', () => {
+  const match = createAppMatcher(APPS);
+
+  assert.deepEqual(match('Baldurs Gate 3'), { appid: 1086940, name: "Baldur's Gate 3", score: 1 });
+  assert.equal(match('ELDEN RING™').appid, 1245620);
+  assert.equal(match('Counter Strike 2').appid, 730);
+
+  // Same name twice: needs a human
+  assert.deepEqual(match('Left 4 Dead').candidates.map((c) => c.appid), [500, 501]);
+  assert.deepEqual(match('CD PROJEKT RED'), { candidates: [] });
+});
+
+test('only winners without an ID are matched, once per game', () => {
+  const doc = {
+    year: 2023,
+    awards: [
+      { award_name: 'Game of the Year', winner: { game_name: 'Baldurs Gate 3' } },
+      { award_name: 'Outstanding Story-Rich Game', winner: { game_name: 'Baldurs Gate 3' } },
+      { award_name: 'Best Soundtrack', winner: { game_name: 'Red Dead Redemption 2', steam_app_id: '1174180' } },
+      { award_name: 'Labor of Love', winner: { game_name: 'ELDEN RING' } },
+      { award_name: 'Best Developer', winner: { game_name: 'CD PROJEKT RED' } },
+    ],
+  };
+  const out = resolveMissingAppIds([{ where: 'y2023', doc }], { elden_ring: 1245620 }, createAppMatcher(APPS));
+
+  assert.deepEqual(out.resolved.map((x) => [x.slug, x.appid]), [['baldurs_gate_3', 1086940]]);
+  assert.deepEqual(out.unresolved, [{ slug: 'cd_projekt_red', game: 'CD PROJEKT RED', candidates: [] }]);
+});
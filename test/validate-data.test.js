@@ -0,0 +1,173 @@
+/* tools/validate_data.js checks, run against a throwaway image library. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { loadDataFiles, validateDocs, docsFromSheetRows, loadDataEntries, parseDataArgs } = require('../tools/validate_data.js');
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function makeImgDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'awardhub-img-'));
+  tempDirs.push(dir);
+  files.forEach((f) => {
+    fs.mkdirSync(path.join(dir, path.dirname(f)), { recursive: true });
+    fs.writeFileSync(path.join(dir, f), '');
+  });
+  return dir;
+}
+
+function award(awardName, gameName, extra = {}) {
+  return { award_name: awardName, winner: { game_name: gameName }, nominees: [], ...extra };
+}
+
+function messages(issues, level) {
+  return issues.filter((x) => x.level === level).map((x) => `${x.where}: ${x.message}`);
+}
+
+test('a clean year has no issues', () => {
+  const imgDir = makeImgDir(['2018/assassin_s_creed_odyssey.webp']);
+  const doc = {
+    year: 2018,
+    awards: [award('Best Alternate History', "Assassin's Creed® Odyssey", { award_id: 'best_alternate_history' })],
+  };
+  assert.deepEqual(validateDocs([{ where: 'y2018', doc }], { imgDir }), []);
+});
+
+test('empty files, bad award IDs and duplicates are errors', () => {
+  const imgDir = makeImgDir(['2023/sifu.webp']);
+  const doc = {
+    year: 2023,
+    awards: [
+      award('BestGameYouSuckAt', 'Sifu', { award_id: 'bestgameyousuckat' }),
+      award('Best Game You Suck At', 'Sifu', { award_id: 'best_game_you_suck_at' }),
+    ],
+  };
+  const errors = messages(
+    validateDocs([{ where: 'empty.json', error: 'file is empty' }, { where: 'y2023', doc }], { imgDir }),
+    'error'
+  );
+  assert.deepEqual(errors, [
+    'empty.json: file is empty',
+    'y2023: awards[0]: award_id "bestgameyousuckat" should be "best_game_you_suck_at"',
+    'y2023: awards[1]: duplicate award "Best Game You Suck At" (same as awards[0])',
+  ]);
+});
+
+test('data files follow data/index.json and empty files are errors even when unlisted', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'awardhub-data-'));
+  tempDirs.push(dir);
+  fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify({ years: [2023, 2024] }));
+  fs.writeFileSync(path.join(dir, 'steam_awards_2024.json'), JSON.stringify({ year: 2024, awards: [] }));
+  fs.writeFileSync(path.join(dir, 'steam_awards_2025.json'), '');
+
+  assert.deepEqual(loadDataFiles(dir).map((e) => e.error || e.doc.year), [
+    2024,
+    'file is empty',
+    'lists 2023 but steam_awards_2023.json does not exist',
+  ]);
+});
+
+test('images of years without data are not orphans', () => {
+  const imgDir = makeImgDir(['2018/assassin_s_creed_odyssey.webp', '2025/peak.webp']);
+  const doc = {
+    year: 2018,
+    awards: [award('Best Alternate History', "Assassin's Creed® Odyssey", { award_id: 'best_alternate_history' })],
+  };
+  assert.deepEqual(validateDocs([{ where: 'y2018', doc }], { imgDir }), []);
+});
+
+test('missing winner images are errors and unused images are orphans', () => {
+  const imgDir = makeImgDir(['2020/doom_eternal.webp', '2020/unused.webp']);
+  const doc = {
+    year: 2020,
+    awards: [
+      award('Best Soundtrack', 'DOOM Eternal', { award_id: 'best_soundtrack' }),
+      award('Game of the Year', 'Red Dead Redemption 2', { award_id: 'game_of_the_year' }),
+    ],
+  };
+  const issues = validateDocs([{ where: 'y2020', doc }], { imgDir });
+  assert.deepEqual(messages(issues, 'error'), [
+    'y2020: awards[1].winner: no image for "Red Dead Redemption 2" (expected img/2020/red_dead_redemption_2{.webp,.jpg,.jpeg,.png})',
+  ]);
+  assert.deepEqual(messages(issues, 'warning'), [
+    'img/2020/unused.webp: orphaned image (no winner or nominee uses it)',
+  ]);
+});
+
+test("suffixed images are reported and a sequel's image is never used for another game", () => {
+  const imgDir = makeImgDir(['2020/doom_eternal_2.webp', '2023/counter_strike_2.webp']);
+  const entries = [
+    { where: 'y2020', doc: { year: 2020, awards: [award('Best Soundtrack', 'DOOM Eternal', { award_id: 'best_soundtrack' })] } },
+    {
+      where: 'y2023',
+      doc: {
+        year: 2023,
+        awards: [
+          award('Game of the Year', 'Counter-Strike 2', { award_id: 'game_of_the_year', nominees: [{ game_name: 'Counter-Strike' }] }),
+        ],
+      },
+    },
+  ];
+  const issues = validateDocs(entries, { imgDir });
+  assert.deepEqual(messages(issues, 'error'), []);
+  assert.deepEqual(messages(issues, 'warning'), [
+    'y2020: awards[0].winner: "DOOM Eternal" uses the suffixed image img/2020/doom_eternal_2.webp (expected img/2020/doom_eternal{.webp,.jpg,.jpeg,.png})',
+    'y2023: awards[0].nominees[0]: no image for "Counter-Strike" (expected img/2023/counter_strike{.webp,.jpg,.jpeg,.png})',
+  ]);
+});
+
+test('category spellings that differ across years are reported', () => {
+  const imgDir = makeImgDir(['2022/raft.webp', '2023/lethal_company.webp']);
+  const entries = [
+    { where: 'y2022', doc: { year: 2022, awards: [award('Better With Friends', 'Raft', { award_id: 'better_with_friends' })] } },
+    { where: 'y2023', doc: { year: 2023, awards: [award('BetterWithFriends', 'Lethal Company', { award_id: 'better_with_friends' })] } },
+  ];
+  assert.deepEqual(messages(validateDocs(entries, { imgDir }), 'warning'), [
+    'category better_with_friends: inconsistent names across years: "Better With Friends" (2022), "BetterWithFriends" (2023)',
+  ]);
+});
+
+test('sheet exports are grouped by year with row-level schema errors', () => {
+  const { entries, issues } = docsFromSheetRows([
+    { Year: 2024, Title: 'GameoftheYear', Winner: 'Black Myth Wukong' },
+    { Year: 2024, Title: 'GameoftheYear', Type: 'Nominee', Nominee: 'ELDEN RING' },
+    { Year: 'n/a', Title: 'Labor of Love', Winner: 'Terraria' },
+    { Year: 2024, Title: 'Best Soundtrack', Winner: '' },
+  ]);
+
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].doc.awards[0].award_id, 'game_of_the_year');
+  assert.deepEqual(entries[0].doc.awards[0].nominees, [{ game_name: 'ELDEN RING' }]);
+  assert.deepEqual(messages(issues, 'error'), [
+    'sheet: rows[2]: Year is not a number ("n/a")',
+    'sheet: rows[3]: Winner is empty',
+  ]);
+});
+
+test('the data tools share --sheet loading and argument parsing', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'awardhub-sheet-'));
+  tempDirs.push(dir);
+  const file = path.join(dir, 'export.json');
+  fs.writeFileSync(file, JSON.stringify({ data: [{ Year: 2024, Title: 'Labor of Love', Winner: 'Terraria' }] }));
+
+  const { entries, issues } = loadDataEntries(file);
+  assert.deepEqual(entries.map((e) => e.where), ['export.json (2024)']);
+  assert.deepEqual(issues, []);
+  assert.equal(loadDataEntries().entries.length, loadDataFiles().length);
+
+  fs.writeFileSync(file, JSON.stringify({ rows: [] }));
+  assert.throws(() => loadDataEntries(file), /expected a rows array or \{ data: \[\.\.\.\] \}/);
+
+  assert.deepEqual(parseDataArgs(['--strict', '--sheet', 'x.json']), { strict: true, sheet: 'x.json' });
+  assert.deepEqual(parseDataArgs(['--write'], { flags: ['write'], values: ['applist'] }), { write: true, applist: '' });
+  assert.throws(() => parseDataArgs(['--write']), /Unknown argument: --write/);
+});
+
+test('the bundled data passes --strict', () => {
+  assert.deepEqual(validateDocs(loadDataFiles()), []);
+});
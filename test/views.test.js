@@ -0,0 +1,390 @@
+/* Views and router in jsdom: index.html booted through js/src/main.js.
+ *
+ * fetch is stubbed: the Sheet API answers with the rows below and every other
+ * URL is a 404, so nothing hits the network.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { loadLinkProviders } = require('../tools/link_providers.js');
+const { openBrowser } = require('./helpers/browser.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const load = (file) => import(pathToFileURL(path.join(ROOT, 'js/src', file)).href);
+
+const ROWS = [
+  { Year: 2024, Title: 'Game of the Year', Winner: 'Black Myth: Wukong', Nominees: 'Helldivers 2; ELDEN RING' },
+  { Year: 2024, Title: 'Best Soundtrack', Winner: 'Final Fantasy VII Rebirth' },
+  // Exported twice by the sheet: shown once
+  { Year: 2024, Title: 'Best Soundtrack', Winner: 'Final Fantasy VII Rebirth' },
+  { Year: 2024, Title: 'Best Game on Steam Deck', Winner: 'Balatro' },
+  { Year: 2023, Title: 'Game of the Year', Winner: "Baldur's Gate 3" },
+];
+
+const requests = [];
+let dom;
+let app;
+let sink;
+
+/** Let route() and jsdom's history tasks finish. */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+const $ = (sel) => dom.window.document.querySelector(sel);
+const $$ = (sel) => Array.from(dom.window.document.querySelectorAll(sel));
+const text = (sel) => ($(sel) ? $(sel).textContent.trim() : null);
+
+test.before(async () => {
+  dom = await openBrowser(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), '/');
+  const { window } = dom;
+  // What webpack bakes in; Node has no navigator, so markets start at their defaults
+  globalThis.__AWARDHUB_LINK_PROVIDERS__ = loadLinkProviders();
+
+  app = { data: await load('data.js'), analytics: await load('analytics.js') };
+  sink = app.analytics.createMemorySink();
+  app.analytics.setAnalyticsSink(sink);
+  // Copies: a test editing ROWS changes what the next request returns, not the cache
+  globalThis.fetch = async (url) => {
+    requests.push(String(url));
+    const ok = url === app.data.SHEET_API_URL;
+    return { ok, status: ok ? 200 : 404, json: async () => ({ ok: true, data: ROWS.map((r) => ({ ...r })) }) };
+  };
+
+  app.router = await load('router.js');
+  await load('main.js');
+  window.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await settle();
+});
+
+test.after(() => dom.window.close());
+
+async function visit(to) {
+  app.router.navigate(to);
+  await settle();
+}
+
+test('a root visit is rewritten to /steamawards/ and lists every year', () => {
+  assert.equal(location.pathname, '/steamawards/');
+  assert.deepEqual($$('.yearCard__year').map((el) => el.textContent), ['2024', '2023']);
+  assert.equal(text('#yearNow'), String(new Date().getFullYear()));
+  assert.ok(requests.length > 0 && requests.every((u) => u === app.data.SHEET_API_URL));
+});
+
+test('internal links navigate without a reload, external ones are left alone', async () => {
+  $('.yearCard[href="/steamawards/2023/"]').click();
+  await settle();
+  assert.equal(location.pathname, '/steamawards/2023/');
+  assert.equal(text('.featured__winnerName'), "Baldur's Gate 3");
+
+  const external = document.body.appendChild(document.createElement('a'));
+  external.href = 'https://store.steampowered.com/';
+  let intercepted = null;
+  window.addEventListener(
+    'click',
+    (e) => {
+      intercepted = e.defaultPrevented;
+      e.preventDefault(); // jsdom cannot navigate away
+    },
+    { once: true }
+  );
+  external.click();
+  external.remove();
+  assert.equal(intercepted, false);
+  assert.equal(location.pathname, '/steamawards/2023/');
+});
+
+test('year page shows de-duplicated awards and switches them from the chips', async () => {
+  await visit('/steamawards/2024/');
+  const chips = () => $$('#awardCarousel .awardChip');
+
+  assert.deepEqual(
+    chips().map((c) => c.querySelector('.awardChip__award').textContent),
+    ['Game of the Year', 'Best Soundtrack', 'Best Game on Steam Deck']
+  );
+  assert.equal(text('.featured__winnerName'), 'Black Myth: Wukong');
+  assert.ok(chips()[0].classList.contains('is-active'));
+
+  chips()[1].click();
+  assert.equal(location.pathname, '/steamawards/2024/best_soundtrack/');
+  assert.equal(text('.featured__winnerName'), 'Final Fantasy VII Rebirth');
+  assert.ok(chips()[1].classList.contains('is-active'));
+  assert.match(document.title, /^Best Soundtrack 2024: Final Fantasy VII Rebirth/);
+
+  history.back();
+  await settle();
+  assert.equal(location.pathname, '/steamawards/2024/');
+  assert.equal(text('.featured__winnerName'), 'Black Myth: Wukong');
+});
+
+test('award permalinks and canonical rewrites keep the query string and hash', async () => {
+  await visit('/steamawards/2024/?ref=news#featured');
+  $$('#awardCarousel .awardChip')[1].click();
+  assert.equal(location.pathname, '/steamawards/2024/best_soundtrack/');
+  assert.equal(location.search + location.hash, '?ref=news#featured');
+
+  await visit('/steamawards/award/bestsoundtrack/?ref=news#featured');
+  assert.equal(location.pathname, '/steamawards/award/best_soundtrack/');
+  assert.equal(location.search + location.hash, '?ref=news#featured');
+  assert.equal(text('.hero__title'), 'Best Soundtrack');
+});
+
+test('carousel is a tablist driven by the arrow, Home and End keys', async () => {
+  await visit('/steamawards/2024/');
+  const chips = () => $$('#awardCarousel .awardChip');
+  const press = (key) =>
+    document.activeElement.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+
+  assert.equal($('#awardCarousel').getAttribute('role'), 'tablist');
+  assert.deepEqual(chips().map((c) => [c.getAttribute('aria-selected'), c.getAttribute('tabindex')]), [
+    ['true', '0'],
+    ['false', '-1'],
+    ['false', '-1'],
+  ]);
+  assert.equal($('#featuredAward').getAttribute('role'), 'tabpanel');
+  assert.equal($('#featuredAward').getAttribute('aria-labelledby'), chips()[0].id);
+
+  const entries = history.length;
+  chips()[0].focus();
+  press('ArrowLeft');
+  assert.equal(location.pathname, '/steamawards/2024/best_game_on_steam_deck/');
+  assert.equal(document.activeElement, chips()[2]);
+  assert.equal(chips()[2].getAttribute('aria-selected'), 'true');
+  assert.equal(text('#liveAnnouncer'), 'Best Game on Steam Deck: Balatro');
+
+  press('Home');
+  assert.equal(document.activeElement, chips()[0]);
+  press('ArrowRight');
+  assert.equal(document.activeElement, chips()[1]);
+  assert.equal(text('#liveAnnouncer'), 'Best Soundtrack: Final Fantasy VII Rebirth');
+  press('End');
+  assert.equal(document.activeElement, chips()[2]);
+  assert.equal($('#featuredAward').getAttribute('aria-labelledby'), chips()[2].id);
+  assert.equal(history.length, entries, 'arrowing replaces the URL instead of adding entries');
+
+  // A click re-renders the carousel: the clicked chip keeps focus.
+  chips()[1].focus();
+  chips()[1].click();
+  assert.equal(document.activeElement, chips()[1]);
+  assert.equal(chips()[1].getAttribute('tabindex'), '0');
+  assert.equal(location.pathname, '/steamawards/2024/best_soundtrack/');
+  assert.equal(history.length, entries + 1);
+});
+
+test('year page filter narrows the chips and keeps the original award indices', async () => {
+  await visit('/steamawards/2024/');
+  const type = (value, caret = value.length) => {
+    const box = $('#searchBox');
+    box.focus();
+    box.value = value;
+    box.setSelectionRange(caret, caret);
+    box.dispatchEvent(new dom.window.Event('input'));
+  };
+
+  type('balatro');
+  assert.deepEqual($$('#awardCarousel .awardChip:not([hidden]) .awardChip__winner').map((el) => el.textContent), ['Balatro']);
+  assert.equal(text('.featured__winnerName'), 'Balatro');
+  assert.equal(location.pathname, '/steamawards/2024/best_game_on_steam_deck/');
+  assert.equal(document.activeElement, $('#searchBox'));
+
+  // Editing mid-word: the caret survives the re-render.
+  type('bala tro', 5);
+  assert.equal(document.activeElement, $('#searchBox'));
+  assert.equal($('#searchBox').selectionStart, 5);
+
+  type('zzzz');
+  assert.equal(text('#app .notice'), 'No matches. Try a different keyword.');
+  assert.ok($('#yearLayout').hidden);
+  assert.equal(document.activeElement, $('#searchBox'));
+  assert.equal($('#searchBox').value, 'zzzz');
+});
+
+test('year page updates in place: header, input and chips are never recreated', async () => {
+  await visit('/steamawards/2024/');
+  const box = $('#searchBox');
+  const chips = $$('#awardCarousel .awardChip');
+  const img = $('#awardCarousel .awardChip__img');
+
+  box.focus();
+  box.value = 'soundtrack';
+  box.dispatchEvent(new dom.window.Event('input'));
+  assert.deepEqual(chips.map((c) => c.hidden), [true, false, true]);
+  assert.equal(text('.featured__winnerName'), 'Final Fantasy VII Rebirth');
+
+  box.value = '';
+  box.dispatchEvent(new dom.window.Event('input'));
+  assert.deepEqual(chips.map((c) => c.hidden), [false, false, false]);
+  assert.deepEqual($$('#awardCarousel .awardChip'), chips, 'original order is restored');
+
+  chips[2].click();
+  assert.equal(text('.featured__winnerName'), 'Balatro');
+  assert.equal($('#searchBox'), box);
+  assert.equal($('#awardCarousel .awardChip__img'), img);
+  assert.ok(chips[2].classList.contains('is-active') && !chips[1].classList.contains('is-active'));
+  assert.equal(document.activeElement, box);
+});
+
+test('refreshed rows repaint the year page in place, keeping its filter and selection', async () => {
+  await visit('/steamawards/2024/');
+  const box = $('#searchBox');
+  box.value = 'game';
+  box.dispatchEvent(new dom.window.Event('input'));
+  $$('#awardCarousel .awardChip')[2].click();
+  assert.equal(location.pathname, '/steamawards/2024/best_game_on_steam_deck/');
+
+  const paints = [];
+  const observer = new dom.window.MutationObserver(() => paints.push($('#app').textContent.trim()));
+  observer.observe($('#app'), { childList: true });
+
+  const original = ROWS[3].Winner;
+  ROWS[3].Winner = 'Balatro Deluxe';
+  try {
+    await app.data.revalidateRows();
+    assert.equal(text('.featured__winnerName'), 'Balatro Deluxe');
+    assert.equal($('#searchBox').value, 'game');
+    assert.deepEqual($$('#awardCarousel .awardChip').map((c) => c.hidden), [false, true, false]);
+    assert.equal(location.pathname, '/steamawards/2024/best_game_on_steam_deck/');
+    assert.ok(paints.length > 0 && paints.every((t) => t !== 'Loading…'), 'no loading state');
+  } finally {
+    observer.disconnect();
+    ROWS[3].Winner = original;
+    await app.data.revalidateRows();
+  }
+});
+
+test('store buttons follow the region picked in the footer', async () => {
+  await visit('/steamawards/2024/best_game_on_steam_deck/');
+  const amazon = () => $('.featured a[data-provider="amazon"]').getAttribute('href');
+  const region = $('#storeRegion');
+
+  assert.equal(region.closest('.footer__region').hidden, false);
+  assert.equal(region.value, '');
+  assert.equal(amazon(), 'https://www.amazon.com/s?k=Balatro&tag=ahgames-20');
+  assert.deepEqual($$('.featured a[data-provider]').map((a) => a.dataset.provider), ['blog', 'amazon', 'steam', 'gog', 'humble']);
+
+  region.value = 'uk';
+  region.dispatchEvent(new dom.window.Event('change'));
+  await settle();
+  assert.equal(amazon(), 'https://www.amazon.co.uk/s?k=Balatro');
+  assert.equal(localStorage.getItem('awardhub:market'), 'uk');
+
+  region.value = '';
+  region.dispatchEvent(new dom.window.Event('change'));
+  await settle();
+  assert.equal(amazon(), 'https://www.amazon.com/s?k=Balatro&tag=ahgames-20');
+  assert.equal(localStorage.getItem('awardhub:market'), null);
+});
+
+test('outbound clicks and chip selections reach the analytics sink', async () => {
+  await visit('/steamawards/2024/');
+  sink.events.length = 0;
+  const noNewTab = (e) => e.preventDefault(); // jsdom cannot open new tabs
+  window.addEventListener('click', noNewTab);
+
+  $('.featured a[data-provider="amazon"]').click();
+  $$('#awardCarousel .awardChip')[2].click();
+  $('.featured a[data-provider="blog"]').dispatchEvent(new dom.window.MouseEvent('auxclick', { button: 1, bubbles: true }));
+  window.removeEventListener('click', noNewTab);
+
+  assert.deepEqual(sink.events, [
+    { type: 'outbound_click', path: '/steamawards/2024/', year: 2024, awardId: 'game_of_the_year', provider: 'amazon' },
+    { type: 'award_select', path: '/steamawards/2024/best_game_on_steam_deck/', year: 2024, awardId: 'best_game_on_steam_deck' },
+    { type: 'outbound_click', path: '/steamawards/2024/best_game_on_steam_deck/', year: 2024, awardId: 'best_game_on_steam_deck', provider: 'blog' },
+  ]);
+});
+
+test('nothing is recorded after the opt-out or under Do-Not-Track', async () => {
+  await visit('/steamawards/2024/');
+  sink.events.length = 0;
+  const toggle = $('#analyticsToggle');
+
+  assert.equal(toggle.closest('.footer__toggle').hidden, false);
+  assert.equal(toggle.checked, true);
+
+  toggle.click();
+  assert.equal(localStorage.getItem('awardhub:analytics-opt-out'), '1');
+  $$('#awardCarousel .awardChip')[1].click();
+  assert.equal(app.analytics.trackEvent('outbound_click', { provider: 'gog' }), false);
+
+  toggle.click();
+  assert.equal(localStorage.getItem('awardhub:analytics-opt-out'), null);
+  window.doNotTrack = '1';
+  try {
+    $$('#awardCarousel .awardChip')[2].click();
+    assert.equal(app.analytics.isAnalyticsEnabled(), false);
+  } finally {
+    delete window.doNotTrack;
+  }
+
+  assert.deepEqual(sink.events, []);
+  assert.equal(app.analytics.trackEvent('outbound_click', { provider: 'gog' }), true);
+});
+
+test('the console sink logs each event', () => {
+  const logged = [];
+  app.analytics.createConsoleSink((...args) => logged.push(args)).send({ type: 'award_select', path: '/' });
+  assert.deepEqual(logged, [['[AwardHub] analytics', { type: 'award_select', path: '/' }]]);
+});
+
+test('global search goes to the cross-year results page', async () => {
+  $('#globalSearch input[name="q"]').value = 'baldur';
+  $('#globalSearch').dispatchEvent(new dom.window.Event('submit', { cancelable: true }));
+  await settle();
+
+  assert.equal(location.pathname, '/steamawards/search/');
+  assert.equal(location.search, '?q=baldur');
+  assert.equal(text('.section__title'), 'Steam Game Awards 2023');
+  assert.equal($('.gameCard__name mark').textContent, 'Baldur');
+});
+
+test('compare page lines the years up and edits them from the toolbar', async () => {
+  await visit('/steamawards/compare/?years=2024,2023,2024,1999');
+  assert.equal(location.search, '?years=2023,2024');
+  assert.equal(text('.hero__title'), 'Steam Awards 2023 vs 2024');
+  assert.equal(text('#app .notice'), 'No Steam Awards data for 1999.');
+  assert.equal($('meta[name="robots"]').getAttribute('content'), 'noindex');
+
+  assert.deepEqual($$('.compareTable thead th').map((th) => th.textContent.trim()), ['Award', '2023', '2024']);
+  const rows = $$('.compareTable tbody tr').map((tr) => [
+    tr.querySelector('th a').textContent,
+    tr.querySelector('.compareTag') ? tr.querySelector('.compareTag').textContent : '',
+    Array.from(tr.querySelectorAll('td'), (td) => td.textContent.trim()),
+  ]);
+  assert.deepEqual(rows, [
+    ['Game of the Year', '', ["Baldur's Gate 3", 'Black Myth: Wukong']],
+    ['Best Soundtrack', 'Only in 2024', ['Not awarded', 'Final Fantasy VII Rebirth']],
+    ['Best Game on Steam Deck', 'Only in 2024', ['Not awarded', 'Balatro']],
+  ]);
+  assert.equal($('.compareTable tbody td a').getAttribute('href'), '/steamawards/2023/game_of_the_year/');
+
+  $('.compareYear[aria-label="Remove 2023"]').click();
+  await settle();
+  assert.equal(location.search, '?years=2024');
+  assert.equal($$('.compareTag').length, 0, 'nothing to mark with one year');
+  $('.badge[aria-label="Add 2023"]').click();
+  await settle();
+  assert.equal(location.search, '?years=2023,2024');
+
+  await visit('/steamawards/compare/');
+  assert.equal(location.search, '?years=2023,2024', 'defaults to the two newest years');
+
+  await visit('/steamawards/compare/?ref=news&years=2024,2023,2023#table');
+  assert.equal(location.search + location.hash, '?years=2023,2024&ref=news#table');
+  await visit('/steamawards/compare/?ref=news');
+  assert.equal(location.search, '?years=2023,2024&ref=news');
+});
+
+test('unknown routes and award IDs render not-found pages marked noindex', async () => {
+  await visit('/not-a-page/');
+  assert.equal(text('.hero__title'), '404');
+  assert.match(document.title, /^Page not found/);
+  assert.equal($('meta[name="robots"]').getAttribute('content'), 'noindex');
+
+  await visit('/steamawards/2024/not_an_award/');
+  assert.equal(text('.hero__title'), 'Award not found');
+  assert.equal($('.hero .badge').getAttribute('href'), '/steamawards/2024/');
+
+  await visit('/steamawards/game/');
+  assert.equal(text('.hero__title'), '404');
+});
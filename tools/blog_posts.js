@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/* AwardHub - blog post index (build time) and coverage report
+ *
+ * data/blog_posts.json lists the published AwardHub articles:
+ *
+ *   { "posts": [
+ *     "https://blog.awardhub.net/steamawards/2024/black_myth_wukong/",
+ *     { "year": 2023, "game": "Baldur's Gate 3", "url": "https://blog.awardhub.net/2023/12/bg3.html" }
+ *   ] }
+ *
+ * - posts at the conventional URL (buildBlogPostUrl in js/shared/blog.js) are plain strings
+ * - any other URL names the winner it belongs to (year + game name)
+ *
+ * webpack.common.js bakes buildBlogIndex() into the bundle as __AWARDHUB_BLOG_INDEX__
+ * (year -> slug -> URL), so "Read Post" is disabled for winners without an article.
+ * A BlogUrl column in the sheet (blogger_url in data/*.json) still wins over the index.
+ *
+ * Usage (winners without a post):
+ *   node tools/blog_posts.js                     # data/steam_awards_*.json
+ *   node tools/blog_posts.js --sheet export.json # Apps Script export instead
+ *   node tools/blog_posts.js --strict            # exit 1 when a winner has no post
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { slugifyGameName } = require('../js/shared/images.js');
+const {
+  BLOG_BASE_URL,
+  buildBlogPostUrl,
+  parseBlogPostUrl,
+  isBlogPostUrl,
+  resolveBlogPostUrl,
+} = require('../js/shared/blog.js');
+const { loadDataEntries, parseDataArgs } = require('./validate_data.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const BLOG_POSTS_FILE = path.join(ROOT, 'data', 'blog_posts.json');
+
+/* ============================================================================
+   Post index
+   ============================================================================ */
+
+/**
+ * Read the post list. A missing file means no posts are published yet.
+ */
+function loadBlogPosts(file = BLOG_POSTS_FILE) {
+  if (!fs.existsSync(file)) return [];
+
+  const where = path.relative(ROOT, file);
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${where}: invalid JSON (${e.message})`);
+  }
+  if (!json || !Array.isArray(json.posts)) throw new Error(`${where}: expected { "posts": [...] }`);
+  return json.posts;
+}
+
+/**
+ * Post list -> { "<year>": { "<slug>": url } }.
+ * Throws on entries that cannot be attributed to a winner, so a typo fails the build
+ * instead of silently disabling a post.
+ */
+function buildBlogIndex(posts) {
+  const index = {};
+
+  posts.forEach((post, i) => {
+    const at = `posts[${i}]`;
+    let year;
+    let slug;
+    let url;
+
+    if (typeof post === 'string') {
+      const parsed = parseBlogPostUrl(post);
+      if (!parsed) {
+        throw new Error(`${at}: "${post}" does not follow ${BLOG_BASE_URL}steamawards/<year>/<slug>/; use { year, game, url }`);
+      }
+      ({ year, slug } = parsed);
+      url = post.trim();
+    } else {
+      year = Number(post && post.year);
+      slug = slugifyGameName(post && post.game);
+      url = String((post && post.url) || '').trim();
+      if (!Number.isInteger(year) || !slug) throw new Error(`${at}: needs a year and a game name`);
+      if (!isBlogPostUrl(url)) throw new Error(`${at}: url "${url}" is not an absolute http(s) URL`);
+    }
+
+    const byYear = index[year] || (index[year] = {});
+    if (byYear[slug] && byYear[slug] !== url) {
+      throw new Error(`${at}: second post for ${year} ${slug} (${byYear[slug]})`);
+    }
+    byYear[slug] = url;
+  });
+
+  return index;
+}
+
+/* ============================================================================
+   Coverage report
+   ============================================================================ */
+
+/**
+ * Winners that have neither an explicit blogger_url nor a post in the index.
+ * - entries: [{ where, doc }] (loadDataEntries); unreadable ones are skipped
+ * Returns: [{ where, year, award, game, expected }] with the conventional URL the post would get.
+ */
+function findWinnersWithoutPost(entries, index) {
+  const missing = [];
+
+  entries.forEach(({ where, doc }) => {
+    const year = doc && doc.year;
+    if (!Number.isInteger(year) || !Array.isArray(doc.awards)) return;
+
+    doc.awards.forEach((award, i) => {
+      const game = String((award && award.winner && award.winner.game_name) || '').trim();
+      const slug = slugifyGameName(game);
+      if (!slug) return;
+
+      if (resolveBlogPostUrl(year, slug, { url: award.winner.blogger_url, index })) return;
+      missing.push({
+        where: `${where}: awards[${i}]`,
+        year,
+        award: String(award.award_name || award.award_id || '').trim(),
+        game,
+        expected: buildBlogPostUrl(year, slug),
+      });
+    });
+  });
+
+  return missing;
+}
+
+/* ============================================================================
+   CLI
+   ============================================================================ */
+
+function main() {
+  const args = parseDataArgs(process.argv.slice(2));
+  const { entries } = loadDataEntries(args.sheet);
+
+  const index = buildBlogIndex(loadBlogPosts());
+  const missing = findWinnersWithoutPost(entries, index);
+  const total = entries.reduce((n, e) => n + ((e.doc && Array.isArray(e.doc.awards) && e.doc.awards.length) || 0), 0);
+
+  missing.forEach((x) => {
+    console.log(`NO POST ${x.year} ${x.award}: ${x.game} (${x.expected})`);
+  });
+  console.log(`\n${missing.length} of ${total} winner(s) have no blog post.`);
+
+  if (args.strict && missing.length > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[ERROR] ${e.message || e}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  BLOG_POSTS_FILE,
+  loadBlogPosts,
+  buildBlogIndex,
+  findWinnersWithoutPost,
+};
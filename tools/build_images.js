@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/* AwardHub - responsive image variants (build time, local only)
+ *
+ * For every icon under img/<year>/ writes resized AVIF and WebP copies to
+ * .cache/img/<year>/<slug>-<width>w.<format> (see listVariantWidths in
+ * js/shared/images.js). Only the file the site actually uses for a slug is
+ * resized (first match in IMAGE_EXTENSIONS order).
+ *
+ * - Incremental: a variant is rebuilt only when its source is newer.
+ * - Variants whose source is gone are deleted.
+ * - Runs from webpack (ResponsiveImagesPlugin) before every build / watch
+ *   rebuild, or by hand with `npm run images` (`-- --force` rebuilds all).
+ *
+ * The dev server and the prod build serve .cache/img under /img, and the
+ * image manifest lists the widths that exist so the app can emit srcset.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  IMAGE_EXTENSIONS,
+  RESPONSIVE_FORMATS,
+  listVariantWidths,
+  buildImageVariantPath,
+} = require('../js/shared/images.js');
+const { IMG_DIR, VARIANT_DIR, readImageSize } = require('./image_manifest.js');
+
+/** Encoder settings per output format (sharp options). */
+const FORMAT_OPTIONS = {
+  avif: { quality: 55, effort: 4 },
+  webp: { quality: 78 },
+};
+
+/**
+ * Source files to resize: one per year + slug (suffix included), picked in
+ * IMAGE_EXTENSIONS order like the browser does.
+ * Returns: [{ year, slug, file }]
+ */
+function listSourceImages(imgDir = IMG_DIR) {
+  if (!fs.existsSync(imgDir)) return [];
+
+  const out = [];
+  fs.readdirSync(imgDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && /^\d{4}$/.test(d.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((d) => {
+      const bySlug = new Map();
+      fs.readdirSync(path.join(imgDir, d.name)).forEach((f) => {
+        const ext = path.extname(f).toLowerCase();
+        const rank = IMAGE_EXTENSIONS.indexOf(ext);
+        if (f.startsWith('.') || rank < 0) return;
+
+        const slug = path.basename(f, path.extname(f));
+        const current = bySlug.get(slug);
+        if (!current || rank < current.rank) bySlug.set(slug, { rank, file: f });
+      });
+
+      Array.from(bySlug.keys())
+        .sort()
+        .forEach((slug) => out.push({ year: d.name, slug, file: path.join(imgDir, d.name, bySlug.get(slug).file) }));
+    });
+  return out;
+}
+
+function isFresh(target, source) {
+  return fs.existsSync(target) && fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Build missing / outdated variants and delete orphaned ones.
+ * Returns: { built, kept, removed } file counts.
+ */
+async function buildImageVariants(options = {}) {
+  const imgDir = options.imgDir || IMG_DIR;
+  const outDir = options.outDir || VARIANT_DIR;
+  const force = Boolean(options.force);
+
+  // Loaded lazily so requiring this file (tests, manifest) does not need the native module.
+  const sharp = require('sharp');
+  sharp.concurrency(1);
+
+  const stats = { built: 0, kept: 0, removed: 0 };
+  const wanted = new Set();
+
+  for (const { year, file } of listSourceImages(imgDir)) {
+    const size = readImageSize(file);
+    if (!size) continue;
+
+    for (const width of listVariantWidths(size.width)) {
+      for (const format of RESPONSIVE_FORMATS) {
+        const target = path.join(outDir, year, buildImageVariantPath(path.basename(file), width, format));
+        wanted.add(target);
+
+        if (!force && isFresh(target, file)) {
+          stats.kept++;
+          continue;
+        }
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        await sharp(file).resize({ width }).toFormat(format, FORMAT_OPTIONS[format]).toFile(target);
+        stats.built++;
+      }
+    }
+  }
+
+  if (fs.existsSync(outDir)) {
+    fs.readdirSync(outDir).forEach((year) => {
+      const dir = path.join(outDir, year);
+      if (!fs.statSync(dir).isDirectory()) return;
+      fs.readdirSync(dir).forEach((f) => {
+        const target = path.join(dir, f);
+        if (wanted.has(target)) return;
+        fs.rmSync(target, { force: true });
+        stats.removed++;
+      });
+    });
+  }
+
+  return stats;
+}
+
+/**
+ * webpack plugin: refresh the variants before each build and each watch rebuild,
+ * so the manifest baked into the bundle always matches .cache/img.
+ */
+class ResponsiveImagesPlugin {
+  apply(compiler) {
+    const run = () =>
+      buildImageVariants().then((stats) => {
+        if (stats.built || stats.removed) {
+          compiler.getInfrastructureLogger('ResponsiveImagesPlugin').info(
+            `image variants: ${stats.built} built, ${stats.removed} removed, ${stats.kept} up to date`
+          );
+        }
+      });
+
+    compiler.hooks.beforeRun.tapPromise('ResponsiveImagesPlugin', run);
+    compiler.hooks.watchRun.tapPromise('ResponsiveImagesPlugin', run);
+  }
+}
+
+async function main() {
+  const stats = await buildImageVariants({ force: process.argv.includes('--force') });
+  console.log(`Done. ${stats.built} built, ${stats.kept} up to date, ${stats.removed} removed (${path.relative(process.cwd(), VARIANT_DIR)}).`);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(`[ERROR] ${e.message || e}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  listSourceImages,
+  buildImageVariants,
+  ResponsiveImagesPlugin,
+};
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/* AwardHub - fill game_id / icon_url in data/steam_awards_*.json
+ *
+ * Node replacement for the old tools/fill_icon_urls.py. Slug and image lookup
+ * come from js/shared/images.js, the same module the browser uses, so the
+ * paths written here are exactly the ones the site requests.
+ *
+ * For every winner and nominee:
+ * - game_id  = slugifyGameName(game_name)
+ * - icon_url = first existing "/img/<year>/<slug><suffix><ext>", else the placeholder
+ *   (a suffixed file named after another winner, e.g. a sequel, is not used)
+ *
+ * Icons found through a suffix are reported ([SUFFIX]) so they can be checked.
+ *
+ * Usage:
+ *   node tools/fill_icon_urls.js          # rewrite changed files
+ *   node tools/fill_icon_urls.js --check  # only report, exit 1 if a file is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { PLACEHOLDER_URL, slugifyGameName, getImageSlug, resolveGameImage } = require('../js/shared/images.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const DATA_FILE_RE = /^steam_awards_(\d{4})\.json$/;
+
+/**
+ * Fill one winner / nominee object in place.
+ * - exists(relativePath): file check for "img/<year>/<file>"
+ * - knownSlugs: winner slugs of every year (collectWinnerSlugs)
+ * Returns true when a field changed.
+ */
+function fillGame(year, game, exists, knownSlugs = []) {
+  if (!game || typeof game !== 'object') return false;
+
+  const name = String(game.game_name || '').trim();
+  const image = name ? resolveGameImage(year, name, exists, knownSlugs) : null;
+
+  const next = {
+    game_id: slugifyGameName(name),
+    icon_url: image ? `/${image}` : PLACEHOLDER_URL,
+  };
+
+  let changed = false;
+  Object.keys(next).forEach((k) => {
+    if (game[k] !== next[k]) {
+      game[k] = next[k];
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+/**
+ * Fill every winner and nominee of a year document in place.
+ * Returns true when anything changed.
+ */
+function fillYearDoc(doc, exists, knownSlugs = []) {
+  const year = Number(doc && doc.year);
+  if (!Number.isInteger(year)) throw new Error(`invalid year ${JSON.stringify(doc && doc.year)}`);
+
+  let changed = false;
+  (Array.isArray(doc.awards) ? doc.awards : []).forEach((award) => {
+    if (fillGame(year, award && award.winner, exists, knownSlugs)) changed = true;
+    (Array.isArray(award && award.nominees) ? award.nominees : []).forEach((n) => {
+      if (fillGame(year, n, exists, knownSlugs)) changed = true;
+    });
+  });
+  return changed;
+}
+
+/** Every winner and nominee object of a year document. */
+function listGames(doc) {
+  return (Array.isArray(doc && doc.awards) ? doc.awards : []).flatMap((award) => [
+    award && award.winner,
+    ...(Array.isArray(award && award.nominees) ? award.nominees : []),
+  ]).filter((game) => game && typeof game === 'object');
+}
+
+/** Slugs of the winners in the given year documents. */
+function collectWinnerSlugs(docs) {
+  const slugs = new Set();
+  docs.forEach((doc) => {
+    (Array.isArray(doc && doc.awards) ? doc.awards : []).forEach((award) => {
+      const name = String((award && award.winner && award.winner.game_name) || '').trim();
+      if (name) slugs.add(slugifyGameName(name));
+    });
+  });
+  return slugs;
+}
+
+/**
+ * Games of a filled year document whose icon is a suffixed file ("<slug>_2.webp").
+ * Returns: [{ name, iconUrl }]
+ */
+function findSuffixedIcons(doc) {
+  return listGames(doc)
+    .filter((game) => game.icon_url !== PLACEHOLDER_URL && getImageSlug(game.icon_url) !== game.game_id)
+    .map((game) => ({ name: game.game_name, iconUrl: game.icon_url }));
+}
+
+function main() {
+  const checkOnly = process.argv.includes('--check');
+  const exists = (p) => fs.existsSync(path.join(ROOT, p));
+
+  const files = fs.readdirSync(DATA_DIR).filter((f) => DATA_FILE_RE.test(f)).sort();
+  if (files.length === 0) throw new Error(`No JSON files matched: data/steam_awards_*.json`);
+
+  // Winners of every year first: a suffixed file named after one is never an alternate
+  const docs = files.map((f) => {
+    const text = fs.readFileSync(path.join(DATA_DIR, f), 'utf8');
+    return text.trim() ? JSON.parse(text) : null;
+  });
+  const knownSlugs = collectWinnerSlugs(docs);
+
+  let changedFiles = 0;
+  files.forEach((f, i) => {
+    const file = path.join(DATA_DIR, f);
+    const doc = docs[i];
+    if (!doc) {
+      console.log(`[SKIP] ${f} is empty`);
+      return;
+    }
+
+    const changed = fillYearDoc(doc, exists, knownSlugs);
+    findSuffixedIcons(doc).forEach(({ name, iconUrl }) => {
+      console.log(`[SUFFIX] ${f}: "${name}" uses ${iconUrl}`);
+    });
+    if (!changed) {
+      console.log(`[OK] ${f} is up to date`);
+      return;
+    }
+
+    changedFiles++;
+    if (checkOnly) {
+      console.log(`[STALE] ${f} needs game_id / icon_url updates`);
+    } else {
+      fs.writeFileSync(file, JSON.stringify(doc, null, 2) + '\n', 'utf8');
+      console.log(`[UPDATED] ${f}`);
+    }
+  });
+
+  console.log(`\nDone. ${changedFiles}/${files.length} file(s) ${checkOnly ? 'out of date' : 'updated'}.`);
+  if (checkOnly && changedFiles > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[ERROR] ${e.message || e}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  fillGame,
+  fillYearDoc,
+  collectWinnerSlugs,
+  findSuffixedIcons,
+};
@@ -0,0 +1,160 @@
+/* AwardHub - image manifest (build time)
+ *
+ * Scans img/<year>/ and describes what is on disk:
+ *
+ *   { "2018": { "assassin_s_creed_odyssey": { "webp": {
+ *     "width": 460, "height": 215,
+ *     "variants": { "avif": [160, 320, 460], "webp": [160, 320, 460] } } } } }
+ *
+ * year -> slug (suffix included, e.g. "doom_eternal_2") -> format -> pixel size, plus
+ * the responsive widths tools/build_images.js wrote to .cache/img (when it has run).
+ * webpack.common.js bakes it into the bundle as __AWARDHUB_IMAGE_MANIFEST__, and
+ * js/shared/images.js resolves icon URLs through it instead of probing with onerror.
+ *
+ * Dimensions are read from the file headers (WebP, PNG, JPEG), so there are no dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { IMAGE_EXTENSIONS, RESPONSIVE_FORMATS } = require('../js/shared/images.js');
+
+const IMG_DIR = path.resolve(__dirname, '..', 'img');
+// Resized copies written by tools/build_images.js, served under /img as well
+const VARIANT_DIR = path.resolve(__dirname, '..', '.cache', 'img');
+const VARIANT_FILE_RE = /^(.+)-(\d+)w\.([a-z0-9]+)$/;
+
+/* ============================================================================
+   Header readers
+   ============================================================================ */
+
+function readWebpSize(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WEBP') return null;
+
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8X') {
+    return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buf.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  return null;
+}
+
+function readPngSize(buf) {
+  if (buf.readUInt32BE(0) !== 0x89504e47) return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+function readJpegSize(buf) {
+  if (buf.readUInt16BE(0) !== 0xffd8) return null;
+
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    // SOF0..SOF15, minus DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+/**
+ * Pixel size of an image file, or null when the header is not recognised.
+ */
+function readImageSize(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.length < 30) return null;
+
+  try {
+    return readWebpSize(buf) || readPngSize(buf) || readJpegSize(buf);
+  } catch (e) {
+    return null;
+  }
+}
+
+/* ============================================================================
+   Manifest
+   ============================================================================ */
+
+/**
+ * Variant widths per format found in the variant directory.
+ * Returns: { "<year>": { "<slug>": { avif: [160, 320, 460], webp: [...] } } }
+ */
+function listImageVariants(outDir = VARIANT_DIR) {
+  const out = {};
+  if (!fs.existsSync(outDir)) return out;
+
+  fs.readdirSync(outDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && /^\d{4}$/.test(d.name))
+    .forEach((d) => {
+      fs.readdirSync(path.join(outDir, d.name)).forEach((f) => {
+        const m = VARIANT_FILE_RE.exec(f);
+        if (!m || !RESPONSIVE_FORMATS.includes(m[3])) return;
+
+        const slugs = out[d.name] || (out[d.name] = {});
+        const formats = slugs[m[1]] || (slugs[m[1]] = {});
+        (formats[m[3]] || (formats[m[3]] = [])).push(Number(m[2]));
+      });
+    });
+
+  Object.values(out).forEach((slugs) =>
+    Object.values(slugs).forEach((formats) => Object.values(formats).forEach((w) => w.sort((a, b) => a - b)))
+  );
+  return out;
+}
+
+/**
+ * Build the manifest for an image root (default: img/).
+ * Formats are keyed without the dot ("webp", "jpg", ...); unknown sizes are null.
+ * Variants found in variantDir are attached to the entry of the file they were
+ * resized from (the first format in IMAGE_EXTENSIONS order).
+ */
+function buildImageManifest(imgDir = IMG_DIR, variantDir = VARIANT_DIR) {
+  const manifest = {};
+  if (!fs.existsSync(imgDir)) return manifest;
+
+  fs.readdirSync(imgDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && /^\d{4}$/.test(d.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((d) => {
+      const year = {};
+      fs.readdirSync(path.join(imgDir, d.name))
+        .sort()
+        .forEach((f) => {
+          const ext = path.extname(f).toLowerCase();
+          if (f.startsWith('.') || !IMAGE_EXTENSIONS.includes(ext)) return;
+
+          const slug = path.basename(f, path.extname(f));
+          if (!year[slug]) year[slug] = {};
+          year[slug][ext.slice(1)] = readImageSize(path.join(imgDir, d.name, f));
+        });
+      manifest[d.name] = year;
+    });
+
+  const variants = listImageVariants(variantDir);
+  Object.keys(variants).forEach((y) => {
+    Object.keys(variants[y]).forEach((slug) => {
+      const formats = manifest[y] && manifest[y][slug];
+      const source = formats && IMAGE_EXTENSIONS.map((ext) => ext.slice(1)).find((f) => formats[f]);
+      if (source) formats[source] = { ...formats[source], variants: variants[y][slug] };
+    });
+  });
+
+  return manifest;
+}
+
+module.exports = {
+  IMG_DIR,
+  VARIANT_DIR,
+  readImageSize,
+  listImageVariants,
+  buildImageManifest,
+};
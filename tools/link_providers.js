@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/* AwardHub - store link provider config (build time) and preview
+ *
+ * data/link_providers.json lists the stores every winner gets a button for, in order:
+ *
+ *   { "providers": [
+ *     { "id": "gog", "label": "GOG.com", "urls": ["https://www.gog.com/en/games?query={query}"] },
+ *     { "id": "amazon", "label": "Buy on Amazon", "style": "accent",
+ *       "urls": ["https://{host}/s?k={query}&tag={tag}", "https://{host}/s?k={query}"],
+ *       "defaultMarket": "us",
+ *       "markets": { "uk": { "label": "United Kingdom", "host": "www.amazon.co.uk",
+ *                            "tag": "", "locales": ["en-GB"] } } }
+ *   ] }
+ *
+ * - urls: templates tried in order; the first one whose placeholders all have a value wins
+ *   (placeholders: LINK_PLACEHOLDERS in js/shared/providers.js)
+ * - markets: regional stores picked from the browser locale (or the visitor's choice in
+ *   the footer); their host / tag fill the template
+ * - params: provider-wide values (e.g. an affiliate tag) for providers without markets
+ *
+ * webpack.common.js bakes loadLinkProviders() into the bundle as __AWARDHUB_LINK_PROVIDERS__.
+ *
+ * Usage (links for one game):
+ *   node tools/link_providers.js --game "Balatro"
+ *   node tools/link_providers.js --game "Balatro" --locale de-AT
+ *   node tools/link_providers.js --game "Balatro" --market jp
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { slugifyGameName } = require('../js/shared/images.js');
+const { LINK_PLACEHOLDERS, fillUrlTemplate, buildProviderLinks } = require('../js/shared/providers.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const LINK_PROVIDERS_FILE = path.join(ROOT, 'data', 'link_providers.json');
+
+const ID_RE = /^[a-z0-9_-]+$/;
+const HOST_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+const LOCALE_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const STYLES = ['primary', 'accent'];
+// Provider tags of the other external buttons (click analytics)
+const RESERVED_IDS = ['blog', 'steam_hub'];
+
+// Stand-ins for checking that a template yields a URL at all
+const SAMPLE_VALUES = {
+  query: 'Sample%20Game',
+  slug: 'sample_game',
+  steamAppId: '10',
+  steamUrl: 'https://store.steampowered.com/app/10/',
+  host: 'www.example.com',
+  tag: 'sample-20',
+};
+
+/* ============================================================================
+   Config
+   ============================================================================ */
+
+function isPlainObject(x) {
+  return !!x && typeof x === 'object' && !Array.isArray(x);
+}
+
+/**
+ * Problems in a parsed config, [] when it is usable.
+ */
+function checkLinkProviders(json) {
+  if (!isPlainObject(json) || !Array.isArray(json.providers)) return ['expected { "providers": [...] }'];
+
+  const errors = [];
+  const ids = new Set();
+
+  json.providers.forEach((p, i) => {
+    const at = `providers[${i}]`;
+    if (!isPlainObject(p)) {
+      errors.push(`${at}: expected an object`);
+      return;
+    }
+
+    const id = String(p.id || '');
+    if (!ID_RE.test(id)) errors.push(`${at}: id "${id}" must be lowercase letters, digits, "-" or "_"`);
+    else if (ids.has(id)) errors.push(`${at}: duplicate id "${id}"`);
+    else if (RESERVED_IDS.includes(id)) errors.push(`${at}: id "${id}" is reserved`);
+    ids.add(id);
+
+    if (typeof p.label !== 'string' || !p.label.trim()) errors.push(`${at}: needs a label`);
+    if (p.style !== undefined && !STYLES.includes(p.style)) {
+      errors.push(`${at}: style must be one of ${STYLES.join(', ')}`);
+    }
+
+    if (!Array.isArray(p.urls) || p.urls.length === 0) errors.push(`${at}: needs at least one URL template`);
+    (Array.isArray(p.urls) ? p.urls : []).forEach((t, j) => {
+      const unknown = (String(t).match(/\{[A-Za-z]+\}/g) || [])
+        .map((x) => x.slice(1, -1))
+        .filter((name) => !LINK_PLACEHOLDERS.includes(name));
+      if (unknown.length) errors.push(`${at}.urls[${j}]: unknown placeholder {${unknown[0]}}`);
+      else if (typeof t !== 'string' || !fillUrlTemplate(t, SAMPLE_VALUES)) {
+        errors.push(`${at}.urls[${j}]: "${t}" does not make an absolute http(s) URL`);
+      }
+    });
+
+    if (p.params !== undefined) {
+      if (!isPlainObject(p.params) || Object.values(p.params).some((v) => typeof v !== 'string')) {
+        errors.push(`${at}: params must map names to strings`);
+      }
+    }
+
+    if (p.markets === undefined) return;
+    if (!isPlainObject(p.markets) || Object.keys(p.markets).length === 0) {
+      errors.push(`${at}: markets must be a non-empty object`);
+      return;
+    }
+    Object.entries(p.markets).forEach(([mid, m]) => {
+      const mat = `${at}.markets.${mid}`;
+      if (!ID_RE.test(mid)) errors.push(`${mat}: invalid market id`);
+      if (!isPlainObject(m)) {
+        errors.push(`${mat}: expected an object`);
+        return;
+      }
+      if (!HOST_RE.test(String(m.host || ''))) errors.push(`${mat}: host "${m.host || ''}" is not a host name`);
+      if (m.tag !== undefined && typeof m.tag !== 'string') errors.push(`${mat}: tag must be a string`);
+      if (m.label !== undefined && typeof m.label !== 'string') errors.push(`${mat}: label must be a string`);
+      if (!Array.isArray(m.locales) || m.locales.some((l) => !LOCALE_RE.test(String(l)))) {
+        errors.push(`${mat}: locales must be a list of language tags ("en-GB", "de")`);
+      }
+    });
+    if (p.defaultMarket !== undefined && !Object.prototype.hasOwnProperty.call(p.markets, p.defaultMarket)) {
+      errors.push(`${at}: defaultMarket "${p.defaultMarket}" is not one of its markets`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read and check the provider list. A missing file means no store buttons;
+ * a broken one fails the build.
+ */
+function loadLinkProviders(file = LINK_PROVIDERS_FILE) {
+  if (!fs.existsSync(file)) return [];
+
+  const where = path.relative(ROOT, file);
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${where}: invalid JSON (${e.message})`);
+  }
+
+  const errors = checkLinkProviders(json);
+  if (errors.length) throw new Error(`${where}: ${errors.join('; ')}`);
+  return json.providers;
+}
+
+/* ============================================================================
+   CLI
+   ============================================================================ */
+
+function parseArgs(argv) {
+  const args = { game: '', locale: '', market: '' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--game') args.game = argv[++i] || '';
+    else if (argv[i] === '--locale') args.locale = argv[++i] || '';
+    else if (argv[i] === '--market') args.market = argv[++i] || '';
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (!args.game) throw new Error('--game <name> is required');
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const providers = loadLinkProviders();
+
+  const links = buildProviderLinks(
+    providers,
+    { name: args.game, slug: slugifyGameName(args.game) },
+    { locales: args.locale ? [args.locale] : [], market: args.market }
+  );
+
+  links.forEach((l) => {
+    console.log(`${l.id.padEnd(10)} ${l.market ? `[${l.market}] ` : ''}${l.url}`);
+  });
+  console.log(`\n${links.length} of ${providers.length} provider(s) have a link.`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[ERROR] ${e.message || e}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  LINK_PROVIDERS_FILE,
+  checkLinkProviders,
+  loadLinkProviders,
+};
@@ -0,0 +1,322 @@
+/* AwardHub - static pre-rendering (build time)
+ *
+ * Renders every content route from the local data files into real HTML so search
+ * engines, link previews and no-JS visitors get the page instead of an empty #app:
+ *
+ *   /steamawards/                      home
+ *   /steamawards/<year>/               year page
+ *   /steamawards/<year>/<awardId>/     award permalink
+ *   /steamawards/award/<awardId>/      category history
+ *   /steamawards/game/<slug>/          game page
+ *
+ * The views are not duplicated: the app modules (js/src/) run in Node with a minimal
+ * browser installed on globalThis (only #app exists), static data and the same image
+ * manifest, blog post index, Steam app IDs and store providers as the bundle. Store
+ * links use each provider's default market (the client re-renders them for the locale). Each page gets the title /
+ * description / Open Graph / JSON-LD tags applyPageMeta produced, and #app is marked
+ * data-prerendered so the client hydrates it.
+ *
+ * Used by webpack.config.prod.js (PrerenderPlugin) on the built index.html. The plugin
+ * renders in a child process so the browser globals never leak into webpack's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+const { pathToFileURL } = require('url');
+
+const { buildImageManifest } = require('./image_manifest.js');
+const { loadBlogPosts, buildBlogIndex } = require('./blog_posts.js');
+const { loadSteamAppIds } = require('./steam_app_ids.js');
+const { loadLinkProviders } = require('./link_providers.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const ORIGIN = 'https://games.awardhub.net';
+const SRC_DIR = path.join(ROOT, 'js', 'src');
+
+/* ============================================================================
+   Browser shim
+   ============================================================================ */
+
+let _app = null;
+
+/**
+ * A browser just big enough for route(): location/history over one URL, an #app
+ * element that records innerHTML, localStorage in memory and fetch from disk.
+ * Installed on globalThis, so there is one app per process (ES modules are cached).
+ */
+function installBrowserGlobals(options = {}) {
+  const root = options.root || ROOT;
+  let url = new URL('/', ORIGIN);
+
+  const app = {
+    innerHTML: '',
+    getAttribute: () => null,
+    removeAttribute() {},
+  };
+
+  const storage = new Map();
+  const noop = () => {};
+
+  Object.assign(globalThis, {
+    __AWARDHUB_DATA_SOURCES__: 'static',
+    __AWARDHUB_IMAGE_MANIFEST__: options.manifest || buildImageManifest(),
+    __AWARDHUB_BLOG_INDEX__: options.blogIndex || buildBlogIndex(loadBlogPosts()),
+    __AWARDHUB_STEAM_APP_IDS__: options.steamAppIds || loadSteamAppIds(),
+    __AWARDHUB_LINK_PROVIDERS__: options.linkProviders || loadLinkProviders(),
+
+    location: {
+      get href() { return url.href; },
+      get origin() { return url.origin; },
+      get pathname() { return url.pathname; },
+      get search() { return url.search; },
+      get hash() { return url.hash; },
+    },
+    history: {
+      state: null,
+      pushState(state, _title, to) {
+        this.state = state;
+        if (to !== undefined) url = new URL(to, url);
+      },
+      replaceState(state, title, to) { this.pushState(state, title, to); },
+    },
+    document: {
+      title: '',
+      head: null,
+      activeElement: null,
+      addEventListener: noop,
+      getElementById: (id) => (id === 'app' ? app : null),
+      querySelector: () => null,
+    },
+    window: { addEventListener: noop, dispatchEvent: noop },
+    localStorage: {
+      getItem: (k) => (storage.has(k) ? storage.get(k) : null),
+      setItem: (k, v) => storage.set(k, String(v)),
+      removeItem: (k) => storage.delete(k),
+    },
+    async fetch(to) {
+      const target = new URL(to, url);
+      const file = path.join(root, decodeURIComponent(target.pathname));
+      const ok = target.origin === ORIGIN && fs.existsSync(file);
+      const text = ok ? fs.readFileSync(file, 'utf8') : '';
+      return {
+        ok,
+        status: ok ? 200 : 404,
+        text: async () => text,
+        json: async () => JSON.parse(text),
+      };
+    },
+    requestAnimationFrame: () => 0,
+  });
+
+  // No visitor locale: every store link uses its default market. Newer Node versions
+  // define a read-only navigator, hence defineProperty.
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { language: '', languages: [] },
+    configurable: true,
+    writable: true,
+  });
+
+  return {
+    app,
+    setUrl(to) {
+      url = new URL(to, ORIGIN);
+      globalThis.history.state = null;
+    },
+  };
+}
+
+const importSrc = (file) => import(pathToFileURL(path.join(SRC_DIR, file)).href);
+
+/**
+ * Install the browser shim and import the app modules (once per process; later
+ * options are ignored). Returns: { render(path), data, links }
+ */
+function loadApp(options = {}) {
+  if (_app) return _app;
+
+  _app = (async () => {
+    const browser = installBrowserGlobals(options);
+    const [router, meta, data, links] = await Promise.all(
+      ['router.js', 'meta.js', 'data.js', 'links.js'].map(importSrc)
+    );
+
+    return {
+      data,
+      links,
+      /** Run the router for a path; returns { path, html, meta, headTags } after it settles. */
+      async render(routePath) {
+        browser.setUrl(routePath);
+        browser.app.innerHTML = '';
+        meta.clearPageMeta();
+        await router.route();
+
+        const pageMeta = meta.getPageMeta();
+        return {
+          path: location.pathname,
+          html: browser.app.innerHTML,
+          meta: pageMeta,
+          headTags: pageMeta ? meta.renderPageMetaTags(pageMeta) : '',
+        };
+      },
+    };
+  })();
+  return _app;
+}
+
+/* ============================================================================
+   Routes
+   ============================================================================ */
+
+/**
+ * Every content route for the data the app loads, in a stable order.
+ */
+async function listRoutes(app) {
+  const { data, links } = app;
+  const rows = await data.fetchSheetRows();
+  const out = ['/steamawards/'];
+  const categories = new Set();
+  const games = new Set();
+
+  data.getAvailableYearsFromRows(rows).forEach((year) => {
+    const awards = data.buildYearDataFromRows(year, rows).awards;
+    if (!awards.length) return;
+    out.push(links.buildYearUrl(year));
+    awards.forEach((a) => {
+      out.push(links.buildAwardUrl(year, a.award_id));
+      categories.add(a.award_id);
+      games.add(links.buildGameUrl(a.winner.game_name));
+    });
+  });
+
+  Array.from(categories).sort().forEach((id) => out.push(links.buildAwardCategoryUrl(id)));
+  Array.from(games).filter(Boolean).sort().forEach((u) => out.push(u));
+  return Array.from(new Set(out));
+}
+
+/* ============================================================================
+   HTML
+   ============================================================================ */
+
+const escapeText = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = (s) => escapeText(s).replace(/"/g, '&quot;');
+
+/**
+ * Put a rendered page into the (built) index.html:
+ * - <title> and every data-page-meta tag are replaced
+ * - #app gets the markup and data-prerendered="<path>"
+ */
+function renderPageHtml(template, page) {
+  let html = template
+    .replace(/<meta\b[^>]*\sdata-page-meta\b[^>]*>\s*/g, '')
+    .replace(/<link\b[^>]*\sdata-page-meta\b[^>]*>\s*/g, '')
+    .replace(/<script\b[^>]*\sdata-page-meta\b[^>]*>[\s\S]*?<\/script>\s*/g, '');
+
+  if (page.meta) {
+    html = html
+      .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeText(page.meta.title)}</title>`)
+      .replace('</head>', () => `  ${page.headTags}\n</head>`);
+  }
+
+  // HtmlWebpackPlugin's minifier may drop attribute quotes (id=app)
+  const mount = /<section\b([^>]*\bid=(?:"app"|'app'|app\b)[^>]*)>\s*<\/section>/;
+  if (!mount.test(html)) throw new Error('index.html has no empty <section id="app"> to prerender into');
+  return html.replace(
+    mount,
+    (_, attrs) => `<section${attrs} data-prerendered="${escapeAttr(page.path)}">${page.html}</section>`
+  );
+}
+
+/**
+ * Output file for a route: "/steamawards/2024/" -> "steamawards/2024/index.html".
+ */
+function routeToFile(routePath) {
+  return `${routePath.replace(/^\/+|\/+$/g, '')}/index.html`;
+}
+
+/**
+ * Render every route. Returns: [{ file, path, html, meta, headTags }]
+ */
+async function prerenderRoutes(options = {}) {
+  const app = await loadApp(options);
+  const routes = options.routes || (await listRoutes(app));
+
+  const pages = [];
+  for (const route of routes) {
+    const page = await app.render(route);
+    if (page.path !== route) throw new Error(`prerender: ${route} redirected to ${page.path}`);
+    pages.push({ file: routeToFile(route), ...page });
+  }
+  return pages;
+}
+
+/**
+ * prerenderRoutes() in a fresh Node process (clean globals and module state).
+ */
+function prerenderInChildProcess() {
+  return new Promise((resolve, reject) => {
+    let pages = null;
+    const child = fork(__filename, ['--child'], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+    child.on('message', (msg) => {
+      if (msg.error) reject(new Error(msg.error));
+      else pages = msg.pages;
+    });
+    child.on('error', reject);
+    child.on('exit', (code) => {
+      if (pages) resolve(pages);
+      else reject(new Error(`prerender: child process exited with code ${code}`));
+    });
+  });
+}
+
+/* ============================================================================
+   webpack
+   ============================================================================ */
+
+/**
+ * Emits one HTML file per route, built from the index.html HtmlWebpackPlugin produced
+ * (so script tags and minification match the real page).
+ */
+class PrerenderPlugin {
+  apply(compiler) {
+    const { Compilation, sources } = compiler.webpack;
+
+    compiler.hooks.thisCompilation.tap('PrerenderPlugin', (compilation) => {
+      compilation.hooks.processAssets.tapPromise(
+        // After HtmlWebpackPlugin (PROCESS_ASSETS_STAGE_OPTIMIZE_INLINE) emitted index.html
+        { name: 'PrerenderPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE },
+        async () => {
+          const asset = compilation.getAsset('index.html');
+          if (!asset) throw new Error('PrerenderPlugin: index.html was not emitted');
+
+          const template = asset.source.source().toString();
+          const pages = await prerenderInChildProcess();
+          pages.forEach((page) => {
+            // The template is minified already. #app must stay byte-for-byte what the client
+            // renders (minifiers rewrite srcset and the like), or hydration cannot reuse it.
+            compilation.emitAsset(page.file, new sources.RawSource(renderPageHtml(template, page)), {
+              minimized: true,
+            });
+          });
+
+          compilation.getLogger('PrerenderPlugin').info(`prerendered ${pages.length} page(s)`);
+        }
+      );
+    });
+  }
+}
+
+if (require.main === module && process.argv.includes('--child')) {
+  prerenderRoutes()
+    .then((pages) => ({ pages }), (e) => ({ error: e.stack || String(e) }))
+    .then((msg) => process.send(msg, () => process.disconnect()));
+}
+
+module.exports = {
+  loadApp,
+  listRoutes,
+  renderPageHtml,
+  routeToFile,
+  prerenderRoutes,
+  PrerenderPlugin,
+};
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/* AwardHub - Steam app ID lookup table and offline resolver
+ *
+ * data/steam_app_ids.json maps game slugs (slugifyGameName) to Steam app IDs:
+ *
+ *   { "apps": { "black_myth_wukong": 2358720, "elden_ring": 1245620 } }
+ *
+ * webpack.common.js bakes it into the bundle as __AWARDHUB_STEAM_APP_IDS__; a SteamAppId
+ * column in the sheet (steam_app_id in data/*.json) still wins over it. The app builds
+ * store, community hub and capsule URLs from the ID (js/shared/steam.js).
+ *
+ * The resolver matches winners missing from the table against a local dump of the Steam
+ * app list (ISteamApps/GetAppList: { "applist": { "apps": [{ "appid", "name" }] } }).
+ * Nothing is fetched. A name is only accepted when one app matches it clearly; everything
+ * else is printed with its closest candidates for manual review.
+ *
+ * Usage:
+ *   node tools/steam_app_ids.js --applist applist.json           # report only
+ *   node tools/steam_app_ids.js --applist applist.json --write   # add matches to the table
+ *   node tools/steam_app_ids.js --applist applist.json --sheet export.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { slugifyGameName } = require('../js/shared/images.js');
+const { parseSteamAppId, resolveSteamAppId } = require('../js/shared/steam.js');
+const { loadDataEntries, parseDataArgs } = require('./validate_data.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const STEAM_APP_IDS_FILE = path.join(ROOT, 'data', 'steam_app_ids.json');
+
+// Fuzzy matches below this similarity are never accepted automatically
+const MIN_MATCH_SCORE = 0.9;
+// ...nor when the runner-up is this close (e.g. a game and its remaster), unless the
+// best one is the only exact match
+const MIN_MATCH_LEAD = 0.05;
+// Candidates printed for manual review
+const MIN_CANDIDATE_SCORE = 0.5;
+
+/* ============================================================================
+   Lookup table
+   ============================================================================ */
+
+/**
+ * Read the table: { "<slug>": appId }. A missing file is an empty table.
+ */
+function loadSteamAppIds(file = STEAM_APP_IDS_FILE) {
+  if (!fs.existsSync(file)) return {};
+
+  const where = path.relative(ROOT, file);
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${where}: invalid JSON (${e.message})`);
+  }
+  if (!json || !json.apps || typeof json.apps !== 'object' || Array.isArray(json.apps)) {
+    throw new Error(`${where}: expected { "apps": { "<slug>": appId } }`);
+  }
+
+  Object.entries(json.apps).forEach(([slug, id]) => {
+    if (slugifyGameName(slug) !== slug) throw new Error(`${where}: "${slug}" is not a game slug`);
+    if (!parseSteamAppId(id)) throw new Error(`${where}: ${slug}: ${JSON.stringify(id)} is not a Steam app ID`);
+  });
+  return json.apps;
+}
+
+/**
+ * Write the table back with sorted keys (stable diffs).
+ */
+function writeSteamAppIds(table, file = STEAM_APP_IDS_FILE) {
+  const apps = {};
+  Object.keys(table)
+    .sort()
+    .forEach((slug) => {
+      apps[slug] = Number(table[slug]);
+    });
+  fs.writeFileSync(file, JSON.stringify({ apps }, null, 2) + '\n');
+}
+
+/* ============================================================================
+   App list matching
+   ============================================================================ */
+
+/**
+ * Apps from a GetAppList dump ({ applist: { apps } }) or a plain [{ appid, name }] array.
+ */
+function loadAppList(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const apps = Array.isArray(json) ? json : json && json.applist && json.applist.apps;
+  if (!Array.isArray(apps)) throw new Error(`${file}: expected { "applist": { "apps": [...] } }`);
+  return apps.filter((a) => a && parseSteamAppId(a.appid) && String(a.name || '').trim());
+}
+
+/**
+ * Name key for matching: the slug without separators, so "Baldurs Gate 3" and
+ * "Baldur's Gate 3" compare equal.
+ */
+function matchKey(name) {
+  return slugifyGameName(name).replace(/_/g, '');
+}
+
+function bigrams(s) {
+  const out = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+/**
+ * Sørensen–Dice similarity of two match keys (0..1).
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const x = bigrams(a);
+  const y = bigrams(b);
+  let shared = 0;
+  x.forEach((n, g) => {
+    shared += Math.min(n, y.get(g) || 0);
+  });
+  return (2 * shared) / (a.length - 1 + (b.length - 1));
+}
+
+/**
+ * Matcher over an app list. match(name) returns:
+ * - { appid, name, score } when exactly one app matches clearly
+ * - { candidates: [{ appid, name, score }] } otherwise (best first, may be empty)
+ */
+function createAppMatcher(apps) {
+  // slug token -> apps containing it, so a name is only compared with plausible apps
+  const byToken = new Map();
+  const entries = apps.map((a) => ({ appid: Number(a.appid), name: String(a.name).trim(), key: matchKey(a.name) }));
+  entries.forEach((e, i) => {
+    new Set(slugifyGameName(e.name).split('_')).forEach((t) => {
+      if (!t) return;
+      if (!byToken.has(t)) byToken.set(t, []);
+      byToken.get(t).push(i);
+    });
+  });
+
+  return function match(name) {
+    const key = matchKey(name);
+    const tokens = slugifyGameName(name).split('_').filter((t) => byToken.has(t));
+    if (!key || tokens.length === 0) return { candidates: [] };
+
+    // Rarest token first: fewest comparisons, and every real match contains it
+    // unless the names differ in that very word (then it is not a clear match anyway).
+    tokens.sort((a, b) => byToken.get(a).length - byToken.get(b).length);
+    const pool = new Set([...byToken.get(tokens[0]), ...(tokens[1] ? byToken.get(tokens[1]) : [])]);
+
+    const scored = Array.from(pool, (i) => ({ ...entries[i], score: similarity(key, entries[i].key) }))
+      .sort((a, b) => b.score - a.score || a.appid - b.appid)
+      .map(({ appid, name: appName, score }) => ({ appid, name: appName, score: Math.round(score * 1000) / 1000 }));
+
+    const [best, second] = scored;
+    const exact = best && best.score === 1 && (!second || second.score < 1);
+    const clear = best && best.score >= MIN_MATCH_SCORE && (!second || best.score - second.score >= MIN_MATCH_LEAD);
+    return exact || clear ? best : { candidates: scored.filter((c) => c.score >= MIN_CANDIDATE_SCORE).slice(0, 3) };
+  };
+}
+
+/**
+ * Winners without an app ID (no SteamAppId / steam_app_id, not in the table), matched.
+ * - entries: [{ where, doc }] (loadDataEntries)
+ * Returns: { resolved: [{ slug, game, appid, name, score }], unresolved: [{ slug, game, candidates }] },
+ * one item per game even when it won several times.
+ */
+function resolveMissingAppIds(entries, table, match) {
+  const games = new Map();
+  entries.forEach(({ doc }) => {
+    if (!doc || !Array.isArray(doc.awards)) return;
+    doc.awards.forEach((award) => {
+      const winner = (award && award.winner) || {};
+      const slug = slugifyGameName(winner.game_name);
+      if (!slug || games.has(slug)) return;
+      if (resolveSteamAppId(slug, { id: winner.steam_app_id || winner.steam_url, table })) return;
+      games.set(slug, String(winner.game_name).trim());
+    });
+  });
+
+  const resolved = [];
+  const unresolved = [];
+  games.forEach((game, slug) => {
+    const m = match(game);
+    if (m.appid) resolved.push({ slug, game, ...m });
+    else unresolved.push({ slug, game, candidates: m.candidates });
+  });
+  return { resolved, unresolved };
+}
+
+/* ============================================================================
+   CLI
+   ============================================================================ */
+
+function main() {
+  const args = parseDataArgs(process.argv.slice(2), { flags: ['write'], values: ['applist', 'sheet'] });
+  if (!args.applist) throw new Error('--applist <file> is required (a local GetAppList dump)');
+  const { entries } = loadDataEntries(args.sheet);
+
+  const table = loadSteamAppIds();
+  const { resolved, unresolved } = resolveMissingAppIds(entries, table, createAppMatcher(loadAppList(args.applist)));
+
+  resolved.forEach((x) => {
+    console.log(`MATCH      ${x.slug}: ${x.appid} "${x.name}" (${x.score})`);
+  });
+  unresolved.forEach((x) => {
+    const hint = x.candidates.map((c) => `${c.appid} "${c.name}" (${c.score})`).join(', ') || 'no candidates';
+    console.log(`UNRESOLVED ${x.slug}: "${x.game}" -> ${hint}`);
+  });
+
+  if (args.write && resolved.length) {
+    resolved.forEach((x) => {
+      table[x.slug] = x.appid;
+    });
+    writeSteamAppIds(table);
+  }
+  console.log(
+    `\n${resolved.length} matched${args.write && resolved.length ? ` (written to ${path.relative(ROOT, STEAM_APP_IDS_FILE)})` : ''}, ` +
+      `${unresolved.length} unresolved (add them to ${path.relative(ROOT, STEAM_APP_IDS_FILE)} by hand).`
+  );
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[ERROR] ${e.message || e}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  STEAM_APP_IDS_FILE,
+  loadSteamAppIds,
+  writeSteamAppIds,
+  loadAppList,
+  createAppMatcher,
+  resolveMissingAppIds,
+};
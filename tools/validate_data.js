@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+/* AwardHub - award dataset validator
+ *
+ * Checks the award data before it is published:
+ * - schema of every year document (or sheet row)
+ * - award IDs match the canonical category registry, duplicate awards
+ * - category names spelled differently across years
+ * - every winner / nominee has an image under img/<year>/ (slugifyGameName rules)
+ * - images nobody references (orphans), icon_url pointing at missing files
+ * - blogger_url (sheet: BlogUrl) that is not an http(s) link, malformed steam_app_id (SteamAppId)
+ *
+ * Usage:
+ *   node tools/validate_data.js                     # data/steam_awards_*.json
+ *   node tools/validate_data.js --sheet export.json # Apps Script export instead
+ *   node tools/validate_data.js --strict            # warnings fail too
+ *
+ * Exit code: 1 when an error (or, with --strict, a warning) was reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { IMAGE_EXTENSIONS, slugifyGameName, getImageSlug, resolveGameImage } = require('../js/shared/images.js');
+const { resolveAwardCategory } = require('../js/shared/categories.js');
+const { isBlogPostUrl } = require('../js/shared/blog.js');
+const { parseSteamAppId } = require('../js/shared/steam.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const IMG_DIR = path.join(ROOT, 'img');
+const DATA_FILE_RE = /^steam_awards_(\d{4})\.json$/;
+
+/* ============================================================================
+   Loading
+   ============================================================================ */
+
+/**
+ * Years the app loads (data/index.json), or null without an index.
+ */
+function loadDataIndex(dir = DATA_DIR) {
+  const file = path.join(dir, 'index.json');
+  if (!fs.existsSync(file)) return null;
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(json && json.years) ? json.years.map(Number) : null;
+}
+
+/**
+ * Read data/steam_awards_<year>.json files.
+ * - An empty file is an error, whether data/index.json lists its year or not.
+ * - A year the index lists without a file is an error.
+ * Returns: [{ where, doc }] or [{ where, error }] for unreadable files.
+ */
+function loadDataFiles(dir = DATA_DIR) {
+  const indexYears = loadDataIndex(dir);
+  const files = fs.readdirSync(dir).filter((f) => DATA_FILE_RE.test(f)).sort();
+  const fileYears = files.map((f) => Number(DATA_FILE_RE.exec(f)[1]));
+
+  const missing = (indexYears || [])
+    .filter((year) => !fileYears.includes(year))
+    .map((year) => ({
+      where: path.relative(ROOT, path.join(dir, 'index.json')),
+      error: `lists ${year} but steam_awards_${year}.json does not exist`,
+    }));
+
+  return files
+    .map((f) => {
+      const where = path.relative(ROOT, path.join(dir, f));
+      const text = fs.readFileSync(path.join(dir, f), 'utf8');
+      if (!text.trim()) return { where, error: 'file is empty' };
+      try {
+        return { where, doc: JSON.parse(text) };
+      } catch (e) {
+        return { where, error: `invalid JSON (${e.message})` };
+      }
+    })
+    .concat(missing);
+}
+
+/**
+ * Turn an Apps Script export ({ ok, data: [...] } or a plain rows array) into
+ * per-year documents shaped like data/*.json, plus row-level schema issues.
+ */
+function docsFromSheetRows(rows, where = 'sheet') {
+  const issues = [];
+  const byYear = new Map();
+
+  rows.forEach((r, i) => {
+    const at = `${where}: rows[${i}]`;
+    const year = Number(r && r.Year);
+    if (!Number.isInteger(year)) {
+      issues.push(error(at, `Year is not a number (${JSON.stringify(r && r.Year)})`));
+      return;
+    }
+
+    const isNominee = /^nominee$/i.test(String(r.Type || r.Role || '').trim());
+    const title = String(r.Title || '').trim();
+    const name = String((isNominee ? r.Nominee || r.Game || r.Winner : r.Winner) || '').trim();
+    if (!title) issues.push(error(at, 'Title is empty'));
+    if (!name) issues.push(error(at, `${isNominee ? 'Nominee' : 'Winner'} is empty`));
+    if (!title || !name) return;
+
+    if (!byYear.has(year)) byYear.set(year, { year, awards: [] });
+    const doc = byYear.get(year);
+
+    if (isNominee) {
+      const id = resolveAwardCategory(title, { report: false }).id;
+      const award = doc.awards.find((a) => a.award_id === id);
+      if (award) award.nominees.push({ game_name: name });
+      else issues.push(error(at, `nominee row for "${title}" has no matching award row`));
+      return;
+    }
+
+    doc.awards.push({
+      award_id: resolveAwardCategory(title, { report: false }).id,
+      award_name: title,
+      winner: {
+        game_name: name,
+        blogger_url: String(r.BlogUrl || '').trim(),
+        steam_app_id: String(r.SteamAppId || '').trim(),
+      },
+      nominees: []
+    });
+  });
+
+  const entries = Array.from(byYear.values()).map((doc) => ({ where: `${where} (${doc.year})`, doc }));
+  return { entries, issues };
+}
+
+/* ============================================================================
+   Checks
+   ============================================================================ */
+
+function error(where, message) {
+  return { level: 'error', where, message };
+}
+
+function warning(where, message) {
+  return { level: 'warning', where, message };
+}
+
+/**
+ * Image file for a game in a year (shared slug, suffix and extension rules).
+ * - knownSlugs: winner slugs; their files are never another game's alternate
+ * Returns the path relative to the site root ("img/2020/doom_eternal.webp") or null.
+ */
+function findGameImage(imgDir, year, gameName, knownSlugs = []) {
+  return resolveGameImage(
+    year,
+    gameName,
+    (p) => fs.existsSync(path.join(imgDir, path.relative('img', p))),
+    knownSlugs
+  );
+}
+
+/**
+ * Slugs of the winners in every year document (malformed ones are reported elsewhere).
+ */
+function collectWinnerSlugs(entries) {
+  const slugs = new Set();
+  entries.forEach(({ doc }) => {
+    const awards = doc && Array.isArray(doc.awards) ? doc.awards : [];
+    awards.forEach((award) => {
+      const name = award && award.winner && award.winner.game_name;
+      if (typeof name === 'string' && name.trim()) slugs.add(slugifyGameName(name));
+    });
+  });
+  return slugs;
+}
+
+/**
+ * Validate one game entry (winner or nominee).
+ * - images: { imgDir, knownSlugs } (see findGameImage)
+ * - missingImageLevel: "error" for winners, "warning" for nominees
+ * Returns the resolved image path (for orphan detection) or null.
+ */
+function checkGame(game, at, year, images, missingImageLevel, issues) {
+  if (!game || typeof game !== 'object') {
+    issues.push(error(at, 'must be an object'));
+    return null;
+  }
+
+  const name = typeof game.game_name === 'string' ? game.game_name.trim() : '';
+  if (!name) {
+    issues.push(error(at, 'game_name is empty'));
+    return null;
+  }
+
+  const slug = slugifyGameName(name);
+  if (game.game_id !== undefined && game.game_id !== slug) {
+    issues.push(error(at, `game_id "${game.game_id}" should be "${slug}" (slug of "${name}")`));
+  }
+
+  if (game.blogger_url && !isBlogPostUrl(game.blogger_url)) {
+    issues.push(error(at, `blogger_url "${game.blogger_url}" is not an absolute http(s) URL`));
+  }
+
+  if (game.steam_app_id && !parseSteamAppId(game.steam_app_id)) {
+    issues.push(error(at, `steam_app_id "${game.steam_app_id}" is neither an app ID nor a store URL`));
+  }
+
+  if (game.icon_url) {
+    const iconFile = path.join(ROOT, String(game.icon_url).replace(/^\/+/, ''));
+    if (!fs.existsSync(iconFile)) {
+      issues.push(error(at, `icon_url "${game.icon_url}" does not exist`));
+    }
+  }
+
+  const expected = `img/${year}/${slug}{${IMAGE_EXTENSIONS.join(',')}}`;
+  const image = findGameImage(images.imgDir, year, name, images.knownSlugs);
+  if (!image) {
+    const report = missingImageLevel === 'error' ? error : warning;
+    issues.push(report(at, `no image for "${name}" (expected ${expected})`));
+  } else if (getImageSlug(image) !== slug) {
+    issues.push(warning(at, `"${name}" uses the suffixed image ${image} (expected ${expected})`));
+  }
+
+  return image;
+}
+
+/**
+ * Validate year documents against the schema, registry and image library.
+ * - entries: [{ where, doc }] or [{ where, error }]
+ * - options.imgDir: image root (img/<year>/<slug>.<ext>)
+ * Returns: [{ level: "error" | "warning", where, message }]
+ */
+function validateDocs(entries, options = {}) {
+  const imgDir = options.imgDir || IMG_DIR;
+  const images = { imgDir, knownSlugs: collectWinnerSlugs(entries) };
+  const issues = [];
+
+  // Image paths used by some winner or nominee, and the years checked (for orphan detection)
+  const referenced = new Set();
+  const years = new Set();
+  // canonical award ID -> Map(spelling -> [years])
+  const spellings = new Map();
+
+  entries.forEach(({ where, doc, error: loadError }) => {
+    if (loadError) {
+      issues.push(error(where, loadError));
+      return;
+    }
+
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      issues.push(error(where, 'document must be an object'));
+      return;
+    }
+
+    const year = doc.year;
+    if (!Number.isInteger(year)) {
+      issues.push(error(where, `year must be an integer (got ${JSON.stringify(year)})`));
+      return;
+    }
+
+    if (!Array.isArray(doc.awards) || doc.awards.length === 0) {
+      issues.push(error(where, 'awards must be a non-empty array'));
+      return;
+    }
+
+    years.add(year);
+    const seenIds = new Map();
+
+    doc.awards.forEach((award, i) => {
+      const at = `${where}: awards[${i}]`;
+      if (!award || typeof award !== 'object') {
+        issues.push(error(at, 'must be an object'));
+        return;
+      }
+
+      const awardName = typeof award.award_name === 'string' ? award.award_name.trim() : '';
+      if (!awardName) {
+        issues.push(error(at, 'award_name is empty'));
+        return;
+      }
+
+      const category = resolveAwardCategory(awardName, { report: false });
+      if (!category.known) {
+        issues.push(warning(at, `unknown award category "${awardName}" (add it to js/shared/categories.js)`));
+      }
+      if (award.award_id !== category.id) {
+        issues.push(error(at, `award_id "${award.award_id}" should be "${category.id}"`));
+      }
+
+      if (seenIds.has(category.id)) {
+        issues.push(error(at, `duplicate award "${awardName}" (same as awards[${seenIds.get(category.id)}])`));
+      } else {
+        seenIds.set(category.id, i);
+      }
+
+      if (!spellings.has(category.id)) spellings.set(category.id, new Map());
+      const names = spellings.get(category.id);
+      if (!names.has(awardName)) names.set(awardName, []);
+      names.get(awardName).push(year);
+
+      const winnerImage = checkGame(award.winner, `${at}.winner`, year, images, 'error', issues);
+      if (winnerImage) referenced.add(winnerImage);
+
+      if (award.nominees !== undefined && !Array.isArray(award.nominees)) {
+        issues.push(error(at, 'nominees must be an array'));
+        return;
+      }
+      (award.nominees || []).forEach((n, j) => {
+        const image = checkGame(n, `${at}.nominees[${j}]`, year, images, 'warning', issues);
+        if (image) referenced.add(image);
+      });
+    });
+  });
+
+  spellings.forEach((names, id) => {
+    if (names.size < 2) return;
+    const list = Array.from(names.entries())
+      .map(([name, years]) => `"${name}" (${years.join(', ')})`)
+      .join(', ');
+    issues.push(warning(`category ${id}`, `inconsistent names across years: ${list}`));
+  });
+
+  issues.push(...findOrphanImages(imgDir, referenced, years));
+  return issues;
+}
+
+/**
+ * Images under img/<year>/ that no winner or nominee resolves to, for the checked years
+ * (images prepared for a year without data yet are not orphans).
+ */
+function findOrphanImages(imgDir, referenced, years) {
+  if (!fs.existsSync(imgDir)) return [];
+
+  const issues = [];
+  fs.readdirSync(imgDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && /^\d{4}$/.test(d.name) && years.has(Number(d.name)))
+    .forEach((d) => {
+      fs.readdirSync(path.join(imgDir, d.name))
+        .filter((f) => !f.startsWith('.') && IMAGE_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+        .forEach((f) => {
+          const file = `img/${d.name}/${f}`;
+          if (!referenced.has(file)) {
+            issues.push(warning(file, 'orphaned image (no winner or nominee uses it)'));
+          }
+        });
+    });
+  return issues;
+}
+
+/* ============================================================================
+   CLI
+   ============================================================================ */
+
+/**
+ * Command line of the data tools (validate_data, blog_posts, steam_app_ids).
+ * - options.flags: boolean options ("strict" for --strict)
+ * - options.values: options taking a value ("sheet" for --sheet <file>)
+ * Unknown arguments throw.
+ */
+function parseDataArgs(argv, options = {}) {
+  const flags = options.flags || ['strict'];
+  const values = options.values || ['sheet'];
+
+  const args = {};
+  flags.forEach((name) => (args[name] = false));
+  values.forEach((name) => (args[name] = ''));
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (argv[i].startsWith('--') && flags.includes(name)) args[name] = true;
+    else if (argv[i].startsWith('--') && values.includes(name)) args[name] = argv[++i] || '';
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+/**
+ * Year documents to check: an Apps Script export (rows array or { data: [...] }) when
+ * sheetFile is given, else data/steam_awards_*.json.
+ * Returns: { entries: [{ where, doc }], issues } (row-level issues of the export)
+ */
+function loadDataEntries(sheetFile = '') {
+  if (!sheetFile) return { entries: loadDataFiles(), issues: [] };
+
+  const json = JSON.parse(fs.readFileSync(sheetFile, 'utf8'));
+  const rows = Array.isArray(json) ? json : json && json.data;
+  if (!Array.isArray(rows)) throw new Error(`${sheetFile}: expected a rows array or { data: [...] }`);
+  return docsFromSheetRows(rows, path.basename(sheetFile));
+}
+
+function main() {
+  const args = parseDataArgs(process.argv.slice(2));
+  let { entries, issues } = loadDataEntries(args.sheet);
+
+  issues = issues.concat(validateDocs(entries));
+
+  issues.forEach((x) => {
+    const label = x.level === 'error' ? 'ERROR  ' : 'WARNING';
+    console.log(`${label} ${x.where}: ${x.message}`);
+  });
+
+  const errors = issues.filter((x) => x.level === 'error').length;
+  const warnings = issues.length - errors;
+  console.log(`\n${entries.length} year(s) checked: ${errors} error(s), ${warnings} warning(s).`);
+
+  if (errors > 0 || (args.strict && warnings > 0)) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[ERROR] ${e.message || e}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  loadDataIndex,
+  loadDataFiles,
+  docsFromSheetRows,
+  loadDataEntries,
+  parseDataArgs,
+  validateDocs,
+};
@@ -1,12 +1,60 @@
 const path = require('path');
+const webpack = require('webpack');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const { IMG_DIR, buildImageManifest } = require('./tools/image_manifest.js');
+const { ResponsiveImagesPlugin } = require('./tools/build_images.js');
+const { BLOG_POSTS_FILE, loadBlogPosts, buildBlogIndex } = require('./tools/blog_posts.js');
+const { STEAM_APP_IDS_FILE, loadSteamAppIds } = require('./tools/steam_app_ids.js');
+const { LINK_PROVIDERS_FILE, loadLinkProviders } = require('./tools/link_providers.js');
 
 module.exports = {
   entry: {
-    app: './js/app.js',
+    app: './js/src/main.js',
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
     clean: true,
-    filename: './js/app.js',
+    filename: 'js/[name].js',
+    // Absolute script URLs: the same index.html is served for nested routes
+    publicPath: '/',
   },
+  plugins: [
+    // index.html with the bundle injected (deferred, after the deep-link restore script)
+    new HtmlWebpackPlugin({
+      template: './index.html',
+    }),
+    // Resized AVIF / WebP copies of img/<year>/* in .cache/img (runs before the manifest scan)
+    new ResponsiveImagesPlugin(),
+    // Data source order baked into the bundle, e.g. AWARDHUB_DATA_SOURCES=static
+    // for a build that never touches the Sheet API.
+    new webpack.DefinePlugin({
+      __AWARDHUB_DATA_SOURCES__: JSON.stringify(process.env.AWARDHUB_DATA_SOURCES || 'sheet,static'),
+      // Click analytics sink (js/src/analytics.js): unset = off, "console", or a URL that
+      // receives each event as a JSON beacon
+      __AWARDHUB_ANALYTICS_ENDPOINT__: JSON.stringify(process.env.AWARDHUB_ANALYTICS_ENDPOINT || ''),
+      // year -> slug -> format -> size (+ variant widths) for everything under img/, so
+      // icon URLs never have to be guessed in the browser. Rescanned when img/ changes in
+      // watch mode; .cache/img is not watched because only img/ changes rebuild it.
+      __AWARDHUB_IMAGE_MANIFEST__: webpack.DefinePlugin.runtimeValue(
+        () => JSON.stringify(buildImageManifest()),
+        { contextDependencies: [IMG_DIR] }
+      ),
+      // year -> slug -> URL of the published blog posts (data/blog_posts.json): winners
+      // without one get a disabled "Read Post" button.
+      __AWARDHUB_BLOG_INDEX__: webpack.DefinePlugin.runtimeValue(
+        () => JSON.stringify(buildBlogIndex(loadBlogPosts())),
+        { fileDependencies: [BLOG_POSTS_FILE] }
+      ),
+      // game slug -> Steam app ID (data/steam_app_ids.json) for store, hub and capsule URLs
+      __AWARDHUB_STEAM_APP_IDS__: webpack.DefinePlugin.runtimeValue(
+        () => JSON.stringify(loadSteamAppIds()),
+        { fileDependencies: [STEAM_APP_IDS_FILE] }
+      ),
+      // Store buttons (Amazon by market, Steam, GOG, ...) from data/link_providers.json
+      __AWARDHUB_LINK_PROVIDERS__: webpack.DefinePlugin.runtimeValue(
+        () => JSON.stringify(loadLinkProviders()),
+        { fileDependencies: [LINK_PROVIDERS_FILE] }
+      ),
+    }),
+  ],
 };
@@ -8,6 +8,12 @@ module.exports = merge(common, {
     liveReload: true,
     hot: true,
     open: true,
-    static: ['./'],
+    // Every route gets the in-memory index.html with the bundle injected
+    historyApiFallback: true,
+    static: [
+      './',
+      // Responsive variants (tools/build_images.js) live outside the repo tree
+      { directory: './.cache/img', publicPath: '/img' },
+    ],
   },
 });
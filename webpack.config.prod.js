@@ -1,18 +1,23 @@
 const { merge } = require('webpack-merge');
 const common = require('./webpack.common.js');
-const HtmlWebpackPlugin = require('html-webpack-plugin');
 const CopyPlugin = require('copy-webpack-plugin');
+const { PrerenderPlugin } = require('./tools/prerender.js');
 
 module.exports = merge(common, {
   mode: 'production',
+  output: {
+    // Long-term caching: the file name changes whenever the bundle does
+    filename: 'js/[name].[contenthash:8].js',
+  },
   plugins: [
-    new HtmlWebpackPlugin({
-      template: './index.html',
-    }),
+    // steamawards/**/index.html for every year, award, category and game (from data/)
+    new PrerenderPlugin(),
     new CopyPlugin({
       patterns: [
         { from: 'img', to: 'img' },
+        { from: '.cache/img', to: 'img', noErrorOnMissing: true },
         { from: 'css', to: 'css' },
+        { from: 'data', to: 'data' },
         { from: 'js/vendor', to: 'js/vendor' },
         { from: 'icon.svg', to: 'icon.svg' },
         { from: 'favicon.ico', to: 'favicon.ico' },